@@ -1,7 +1,11 @@
 import { io } from 'socket.io-client';
 
 let botSocket = null;
-let botPosition = { x: 0, y: 1, z: 0 };
+const BOT_SPEED = 4; // Blocks per second (a walking player)
+const BOT_GROUND_Y = 0.27; // Player position when standing on the ground plane
+const BOT_UPDATE_INTERVAL = 100; // ms between position updates
+
+let botPosition = { x: 0, y: BOT_GROUND_Y, z: 0 };
 let botRotation = { y: 0 };
 let botVelocity = { x: 0, y: 0, z: 0 };
 let moveDirection = 0; // 0-7 for 8 directions
@@ -54,6 +58,11 @@ export function startBot(serverUrl, onConnect = null) {
         }
     });
     
+    // The server moved us (respawn, /tp, or a move it didn't accept)
+    botSocket.on('teleport', (position) => {
+        botPosition = { x: position.x, y: BOT_GROUND_Y, z: position.z };
+    });
+    
     botSocket.on('disconnect', () => {
         console.log('Bot disconnected');
         stopBotBehavior();
@@ -86,15 +95,11 @@ function startBotBehavior() {
             botVelocity.z = 0;
         } else {
             // Set velocity based on direction
-            const speed = 100; // Base speed
             const angle = (moveDirection / 8) * Math.PI * 2;
-            botVelocity.x = Math.sin(angle) * speed;
-            botVelocity.z = Math.cos(angle) * speed;
+            botVelocity.x = Math.sin(angle) * BOT_SPEED;
+            botVelocity.z = Math.cos(angle) * BOT_SPEED;
             botRotation.y = angle;
         }
-        
-        // Update position
-        updateBotPosition();
     }, 3000 + Math.random() * 5000);
     
     // Random actions (place blocks, swing arm, etc.)
@@ -122,6 +127,7 @@ function startBotBehavior() {
     // Send position updates (like a real player)
     const updateInterval = setInterval(() => {
         if (botSocket && botSocket.connected) {
+            updateBotPosition(BOT_UPDATE_INTERVAL / 1000);
             botSocket.emit('playerMove', {
                 position: botPosition,
                 rotation: {
@@ -139,7 +145,7 @@ function startBotBehavior() {
         } else {
             clearInterval(updateInterval);
         }
-    }, 100); // Update 10 times per second
+    }, BOT_UPDATE_INTERVAL); // Update 10 times per second
 }
 
 function stopBotBehavior() {
@@ -153,15 +159,13 @@ function stopBotBehavior() {
     }
 }
 
-function updateBotPosition() {
-    // Simple movement simulation
-    const delta = 0.1; // Simulated delta time
-    
+// Walk one update's worth, so the server sees the same steps a player would send
+function updateBotPosition(delta) {
     botPosition.x += botVelocity.x * delta;
     botPosition.z += botVelocity.z * delta;
     
-    // Keep bot on ground level (y = 1)
-    botPosition.y = 1;
+    // Keep bot on the ground
+    botPosition.y = BOT_GROUND_Y;
     
     // Keep bot within reasonable bounds
     if (botPosition.x > 50) botPosition.x = 50;
@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { ITEMS } from './items.js';
 
 // Game state
 let scene, camera, renderer, controls;
@@ -25,7 +28,7 @@ let playerCape = 'none';
 let isFlying = false; // Fly mode state
 
 // Inventory and combat system
-let inventory = ['sword', 'cheeseburger', 'soda', 'baseballbat', 'car'];
+let inventory = []; // Slots ({ item, count }) - the server owns them and sends inventoryUpdate
 let selectedInventoryIndex = 0;
 let inventoryOpen = false;
 let playerHealth = 100;
@@ -40,6 +43,7 @@ let currentCar = null; // Car the local player is currently in
 let carSeatIndex = -1; // Which seat the player is in (0 = driver, 1-3 = passengers)
 let carSteeringAngle = 0; // Current steering angle for the car (local player's steering input)
 let lastClickPosition = null; // Store last mouse click position for car spawning
+let lastAimRay = null; // Ray under the mouse at the last click, for aiming ranged weapons
 
 // Pixelation settings
 const PIXELATION_FACTOR = 2; // Higher = smaller pixels, more pixels (reduced for less pixelation)
@@ -117,6 +121,12 @@ const BLOCK_TYPES = {
     ladder: { color: 0xc2a17a, name: 'Ladder' }             // Allows climbing
 };
 
+// Default metadata for block types that carry extra state (matches BLOCK_METADATA on the server)
+const BLOCK_META_DEFAULTS = {
+    door: { isOpen: false },
+    sign: { message: '' }
+};
+
 // Initialize game
 // Preload death sound for instant playback
 let deathSound = null;
@@ -749,6 +759,99 @@ function exportCharacterModel(character, filename = 'character.obj') {
     }
 }
 
+// Copy an object's visible meshes into a plain group, baking in their world transforms.
+// Players and cars keep DOM elements and object references in userData, which the
+// glTF exporter would otherwise try to write out.
+function bakeMeshes(object, name) {
+    const group = new THREE.Group();
+    group.name = name;
+    object.updateMatrixWorld(true);
+    object.traverseVisible((child) => {
+        if (!child.isMesh) return;
+        const mesh = new THREE.Mesh(child.geometry, child.material);
+        child.matrixWorld.decompose(mesh.position, mesh.quaternion, mesh.scale);
+        group.add(mesh);
+    });
+    return group;
+}
+
+// Export the world, or a box of it, to binary glTF (.glb) for rendering builds in Blender.
+// Blocks are merged into one mesh per block type to keep the file small.
+// box is { x1, y1, z1, x2, y2, z2 } in block coordinates, or null for everything.
+// blocks are the world's blocks in the box ({ key, type }), sent by the server since we
+// only have the chunks around us loaded.
+function exportWorldModel({ box = null, blocks: exportBlocks = [], players = false, cars: includeCars = false } = {}) {
+    // Players and cars count as inside if they are over the box (at any height)
+    const overBox = (position) => !box || (
+        position.x >= box.x1 - 0.5 && position.x <= box.x2 + 0.5 &&
+        position.z >= box.z1 - 0.5 && position.z <= box.z2 + 0.5);
+    
+    const exportScene = new THREE.Scene();
+    const geometriesByType = new Map();
+    exportBlocks.forEach((block) => {
+        const [x, y, z] = block.key.split(',').map(Number);
+        const type = block.type;
+        if (!geometriesByType.has(type)) {
+            geometriesByType.set(type, []);
+        }
+        geometriesByType.get(type).push(new THREE.BoxGeometry(1, 1, 1).translate(x, y + 0.5, z));
+    });
+    geometriesByType.forEach((geometries, type) => {
+        const blockInfo = BLOCK_TYPES[type] || BLOCK_TYPES.dirt;
+        const material = new THREE.MeshStandardMaterial({ color: blockInfo.color, metalness: 0.3, roughness: 0.7 });
+        material.name = type;
+        const mesh = new THREE.Mesh(mergeGeometries(geometries), material);
+        mesh.name = `${type} blocks`;
+        exportScene.add(mesh);
+        geometries.forEach(geometry => geometry.dispose());
+    });
+    
+    if (players) {
+        if (localPlayer && overBox(localPlayer.position)) {
+            exportScene.add(bakeMeshes(localPlayer, playerName || 'Player'));
+        }
+        otherPlayers.forEach((player) => {
+            if (overBox(player.position)) {
+                exportScene.add(bakeMeshes(player, player.userData.name || 'Player'));
+            }
+        });
+    }
+    if (includeCars) {
+        cars.forEach((car, carId) => {
+            if (overBox(car.position)) {
+                exportScene.add(bakeMeshes(car, `Car ${carId}`));
+            }
+        });
+    }
+    
+    if (exportScene.children.length === 0) {
+        showSystemMessage('Nothing to export');
+        return;
+    }
+    
+    const exporter = new GLTFExporter();
+    exporter.parse(exportScene, (result) => {
+        const url = URL.createObjectURL(new Blob([result], { type: 'model/gltf-binary' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${currentWorld}${box ? '-selection' : ''}.glb`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        
+        // Only the merged block meshes are ours to free, the rest belong to the live scene
+        exportScene.children.forEach((child) => {
+            if (child.isMesh) {
+                child.geometry.dispose();
+                child.material.dispose();
+            }
+        });
+        showSystemMessage(`Exported ${link.download}`);
+    }, (error) => {
+        console.error('Failed to export world model:', error);
+        showSystemMessage('Model export failed');
+    }, { binary: true });
+}
+
 // Export bone structure as JSON (for reference when rigging)
 function exportBoneStructure(character, filename = 'bone_structure.json') {
     if (!character || !character.userData.bones) {
@@ -1496,23 +1599,365 @@ function createHat(hatType, baseMaterial) {
 }
 
 // Create block
+// Blocks are plain records with the position and userData a block mesh would have;
+// they are drawn together by updateBlockMeshes()
 function createBlock(x, y, z, type = 'dirt') {
-    const blockInfo = BLOCK_TYPES[type] || BLOCK_TYPES.dirt;
-    const geometry = new THREE.BoxGeometry(1, 1, 1);
-    const material = new THREE.MeshStandardMaterial({ 
-        color: blockInfo.color,
-        metalness: 0.3,
-        roughness: 0.7
+    return {
+        // Blocks are positioned so their bottom is at the integer coordinate
+        // Since block is 1 unit tall, center is at y + 0.5
+        position: new THREE.Vector3(x, y + 0.5, z),
+        userData: {
+            type,
+            gridY: y // Store original grid Y for collision
+        }
+    };
+}
+
+// Block rendering - every visible block face is an instance in an InstancedMesh, one
+// per block kind (type, or open door) and face direction. Faces touching an opaque
+// neighbor can never be seen, so they are left out. The meshes have room to spare and
+// are updated in place: a changed block only redraws itself and its six neighbors,
+// at most once per frame.
+const BLOCK_FACES = [
+    { offset: [1, 0, 0], normal: new THREE.Vector3(1, 0, 0), geometry: new THREE.PlaneGeometry(1, 1).rotateY(Math.PI / 2).translate(0.5, 0, 0) },
+    { offset: [-1, 0, 0], normal: new THREE.Vector3(-1, 0, 0), geometry: new THREE.PlaneGeometry(1, 1).rotateY(-Math.PI / 2).translate(-0.5, 0, 0) },
+    { offset: [0, 1, 0], normal: new THREE.Vector3(0, 1, 0), geometry: new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2).translate(0, 0.5, 0) },
+    { offset: [0, -1, 0], normal: new THREE.Vector3(0, -1, 0), geometry: new THREE.PlaneGeometry(1, 1).rotateX(Math.PI / 2).translate(0, -0.5, 0) },
+    { offset: [0, 0, 1], normal: new THREE.Vector3(0, 0, 1), geometry: new THREE.PlaneGeometry(1, 1).translate(0, 0, 0.5) },
+    { offset: [0, 0, -1], normal: new THREE.Vector3(0, 0, -1), geometry: new THREE.PlaneGeometry(1, 1).rotateY(Math.PI).translate(0, 0, -0.5) }
+];
+const BLOCK_MESH_MIN_CAPACITY = 256; // Faces a mesh has room for when it is created; it doubles when full
+const blockMaterials = new Map(); // Block kind -> material, shared by all its faces
+const blockFaceMeshes = new Map(); // Block kind -> for each face direction, its InstancedMesh (or null)
+const drawnBlocks = new Map(); // "x,y,z" -> the block whose faces are in the meshes there
+const dirtyBlockCells = new Set(); // "x,y,z" of cells to redraw, see markBlockDirty
+let blockMeshGroup = null;
+let blockMeshesDirty = false; // Set when blocks change, see updateBlockMeshes
+
+// Open doors are see-through (and have no collision), everything else hides what's behind it
+function isOpaqueBlock(block) {
+    return !(block.userData.type === 'door' && block.userData.meta.isOpen);
+}
+
+function getBlockMaterial(kind) {
+    if (!blockMaterials.has(kind)) {
+        const blockInfo = BLOCK_TYPES[kind === 'open-door' ? 'door' : kind] || BLOCK_TYPES.dirt;
+        blockMaterials.set(kind, new THREE.MeshStandardMaterial({
+            color: blockInfo.color,
+            metalness: 0.3,
+            roughness: 0.7,
+            transparent: kind === 'open-door',
+            opacity: kind === 'open-door' ? 0.3 : 1.0
+        }));
+    }
+    return blockMaterials.get(kind);
+}
+
+// Redraw a cell and its neighbors (their faces against it may appear or disappear)
+function markBlockDirty(x, y, z) {
+    dirtyBlockCells.add(`${x},${y},${z}`);
+    BLOCK_FACES.forEach(({ offset }) => {
+        dirtyBlockCells.add(`${x + offset[0]},${y + offset[1]},${z + offset[2]}`);
+    });
+    blockMeshesDirty = true;
+}
+
+function createBlockFaceMesh(kind, index, capacity) {
+    const mesh = new THREE.InstancedMesh(BLOCK_FACES[index].geometry, getBlockMaterial(kind), capacity);
+    mesh.count = 0;
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.userData.blocks = []; // Instance index -> block, for raycasting
+    mesh.userData.face = index;
+    blockMeshGroup.add(mesh);
+    if (!blockFaceMeshes.has(kind)) {
+        blockFaceMeshes.set(kind, BLOCK_FACES.map(() => null));
+    }
+    blockFaceMeshes.get(kind)[index] = mesh;
+    return mesh;
+}
+
+// A mesh with room for one more face of this kind and direction
+function getBlockFaceMesh(kind, index) {
+    const mesh = blockFaceMeshes.has(kind) ? blockFaceMeshes.get(kind)[index] : null;
+    if (!mesh) {
+        return createBlockFaceMesh(kind, index, BLOCK_MESH_MIN_CAPACITY);
+    }
+    if (mesh.count < mesh.instanceMatrix.count) {
+        return mesh;
+    }
+    // Full - move the faces into a mesh twice the size
+    const grown = createBlockFaceMesh(kind, index, mesh.instanceMatrix.count * 2);
+    grown.instanceMatrix.array.set(mesh.instanceMatrix.array);
+    grown.count = mesh.count;
+    grown.userData.blocks = mesh.userData.blocks;
+    blockMeshGroup.remove(mesh);
+    mesh.dispose();
+    return grown;
+}
+
+// Add the faces of a block that aren't hidden by a neighbor
+function drawBlockFaces(key, block, changedMeshes) {
+    const x = Math.round(block.position.x);
+    const y = block.userData.gridY;
+    const z = Math.round(block.position.z);
+    const kind = isOpaqueBlock(block) ? block.userData.type : 'open-door';
+    const matrix = new THREE.Matrix4().makeTranslation(block.position.x, block.position.y, block.position.z);
+    const slots = BLOCK_FACES.map((face, index) => {
+        const neighbor = blocks.get(`${x + face.offset[0]},${y + face.offset[1]},${z + face.offset[2]}`);
+        if (neighbor && isOpaqueBlock(neighbor)) return -1;
+        const mesh = getBlockFaceMesh(kind, index);
+        const slot = mesh.count++;
+        mesh.setMatrixAt(slot, matrix);
+        mesh.userData.blocks[slot] = block;
+        changedMeshes.add(mesh);
+        return slot;
+    });
+    block.userData.faces = { kind, slots };
+    drawnBlocks.set(key, block);
+}
+
+// Take a block's faces out, filling each gap with the mesh's last face
+function eraseBlockFaces(key, block, changedMeshes) {
+    const { kind, slots } = block.userData.faces;
+    const matrix = new THREE.Matrix4();
+    slots.forEach((slot, index) => {
+        if (slot < 0) return;
+        const mesh = blockFaceMeshes.get(kind)[index];
+        const last = --mesh.count;
+        const moved = mesh.userData.blocks.pop();
+        if (slot !== last) {
+            mesh.getMatrixAt(last, matrix);
+            mesh.setMatrixAt(slot, matrix);
+            mesh.userData.blocks[slot] = moved;
+            moved.userData.faces.slots[index] = slot;
+        }
+        changedMeshes.add(mesh);
+    });
+    block.userData.faces = null;
+    drawnBlocks.delete(key);
+}
+
+function updateBlockMeshes() {
+    if (!scene) return;
+    blockMeshesDirty = false;
+    if (!blockMeshGroup) {
+        blockMeshGroup = new THREE.Group();
+        scene.add(blockMeshGroup);
+    }
+    
+    const changedMeshes = new Set();
+    dirtyBlockCells.forEach((key) => {
+        if (drawnBlocks.has(key)) {
+            eraseBlockFaces(key, drawnBlocks.get(key), changedMeshes);
+        }
+        if (blocks.has(key)) {
+            drawBlockFaces(key, blocks.get(key), changedMeshes);
+        }
+    });
+    dirtyBlockCells.clear();
+    
+    changedMeshes.forEach((mesh) => {
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.boundingSphere = null; // Recomputed from the instances when next needed
+    });
+}
+
+// Drop every drawn face (the world is being cleared)
+function clearBlockMeshes() {
+    blockFaceMeshes.forEach(meshes => meshes.forEach((mesh) => {
+        if (!mesh) return;
+        mesh.count = 0;
+        mesh.userData.blocks = [];
+        mesh.boundingSphere = null;
+    }));
+    drawnBlocks.clear();
+    dirtyBlockCells.clear();
+}
+
+// Spatial index - blocks are grouped into chunks of BLOCK_CHUNK_SIZE x BLOCK_CHUNK_SIZE
+// columns (all heights) so collision, ladder and car checks only look at blocks near them
+// instead of every block in the world
+const BLOCK_CHUNK_SIZE = 4;
+const blockChunks = new Map(); // "chunkX,chunkZ" -> Set of blocks
+
+function getBlockChunkKey(x, z) {
+    return `${Math.floor(x / BLOCK_CHUNK_SIZE)},${Math.floor(z / BLOCK_CHUNK_SIZE)}`;
+}
+
+function indexBlock(block) {
+    const chunkKey = getBlockChunkKey(Math.round(block.position.x), Math.round(block.position.z));
+    if (!blockChunks.has(chunkKey)) {
+        blockChunks.set(chunkKey, new Set());
+    }
+    blockChunks.get(chunkKey).add(block);
+}
+
+function unindexBlock(block) {
+    const chunkKey = getBlockChunkKey(Math.round(block.position.x), Math.round(block.position.z));
+    const chunk = blockChunks.get(chunkKey);
+    if (chunk) {
+        chunk.delete(block);
+        if (chunk.size === 0) {
+            blockChunks.delete(chunkKey);
+        }
+    }
+}
+
+// Blocks whose grid position is within the given ranges (inclusive). Leave out the
+// y range for whole columns.
+function queryBlocks(minX, maxX, minZ, maxZ, minY = -Infinity, maxY = Infinity) {
+    const result = [];
+    const minChunkX = Math.floor(minX / BLOCK_CHUNK_SIZE);
+    const maxChunkX = Math.floor(maxX / BLOCK_CHUNK_SIZE);
+    const minChunkZ = Math.floor(minZ / BLOCK_CHUNK_SIZE);
+    const maxChunkZ = Math.floor(maxZ / BLOCK_CHUNK_SIZE);
+    for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+        for (let chunkZ = minChunkZ; chunkZ <= maxChunkZ; chunkZ++) {
+            const chunk = blockChunks.get(`${chunkX},${chunkZ}`);
+            if (blockQueryDebug) {
+                recordBlockQuery(`${chunkX},${chunkZ}`, chunk, minY, maxY);
+            }
+            if (!chunk) continue;
+            chunk.forEach((block) => {
+                const x = Math.round(block.position.x);
+                const z = Math.round(block.position.z);
+                const y = block.userData.gridY;
+                if (x >= minX && x <= maxX && z >= minZ && z <= maxZ && y >= minY && y <= maxY) {
+                    result.push(block);
+                }
+            });
+        }
+    }
+    if (blockQueryDebug) {
+        blockQueryDebug.queries++;
+    }
+    return result;
+}
+
+// Blocks that overlap a box in world space (blocks span x and z +-0.5, and y to y + 1)
+function queryBlocksInBox(min, max) {
+    return queryBlocks(
+        Math.floor(min.x + 0.5), Math.floor(max.x + 0.5),
+        Math.floor(min.z + 0.5), Math.floor(max.z + 0.5),
+        Math.floor(min.y), Math.floor(max.y)
+    );
+}
+
+// Collision debug overlay (F3) - outlines the chunks queried in the last frame
+let blockQueryDebug = null; // { chunks: chunk key -> { minY, maxY }, queries, tested } while on
+let blockQueryDebugLines = null;
+
+function recordBlockQuery(chunkKey, chunk, minY, maxY) {
+    // Whole-column queries are drawn around the blocks that are actually there
+    let low = minY;
+    let high = maxY;
+    if (chunk && (!Number.isFinite(low) || !Number.isFinite(high))) {
+        chunk.forEach((block) => {
+            if (!Number.isFinite(minY)) low = Math.min(Number.isFinite(low) ? low : Infinity, block.userData.gridY);
+            if (!Number.isFinite(maxY)) high = Math.max(Number.isFinite(high) ? high : -Infinity, block.userData.gridY);
+        });
+    }
+    if (!Number.isFinite(low)) low = 0;
+    if (!Number.isFinite(high)) high = low;
+    
+    const range = blockQueryDebug.chunks.get(chunkKey);
+    if (range) {
+        range.minY = Math.min(range.minY, low);
+        range.maxY = Math.max(range.maxY, high);
+    } else {
+        blockQueryDebug.chunks.set(chunkKey, { minY: low, maxY: high });
+    }
+    blockQueryDebug.tested += chunk ? chunk.size : 0;
+}
+
+function toggleBlockQueryDebug() {
+    let hud = document.getElementById('collision-debug');
+    if (!hud) {
+        hud = document.createElement('div');
+        hud.id = 'collision-debug';
+        hud.style.cssText = `
+            position: absolute;
+            top: 10px;
+            left: 10px;
+            background: rgba(0, 0, 0, 0.7);
+            color: #ff66ff;
+            font: 12px monospace;
+            padding: 6px 10px;
+            border-radius: 5px;
+            pointer-events: none;
+            z-index: 150;
+            display: none;
+        `;
+        document.getElementById('ui').appendChild(hud);
+    }
+    
+    if (blockQueryDebug) {
+        blockQueryDebug = null;
+        if (blockQueryDebugLines) {
+            scene.remove(blockQueryDebugLines);
+            blockQueryDebugLines.geometry.dispose();
+            blockQueryDebugLines.material.dispose();
+            blockQueryDebugLines = null;
+        }
+        hud.style.display = 'none';
+    } else {
+        blockQueryDebug = { chunks: new Map(), queries: 0, tested: 0 };
+        hud.style.display = 'block';
+    }
+}
+
+// Draw what was queried since the last frame, then start counting again
+function renderBlockQueryDebug() {
+    if (!scene) return;
+    const positions = [];
+    blockQueryDebug.chunks.forEach(({ minY, maxY }, chunkKey) => {
+        const [chunkX, chunkZ] = chunkKey.split(',').map(Number);
+        const x1 = chunkX * BLOCK_CHUNK_SIZE - 0.5;
+        const z1 = chunkZ * BLOCK_CHUNK_SIZE - 0.5;
+        const x2 = x1 + BLOCK_CHUNK_SIZE;
+        const z2 = z1 + BLOCK_CHUNK_SIZE;
+        const y1 = minY;
+        const y2 = maxY + 1;
+        const corners = [
+            [x1, y1, z1], [x2, y1, z1], [x2, y1, z2], [x1, y1, z2],
+            [x1, y2, z1], [x2, y2, z1], [x2, y2, z2], [x1, y2, z2]
+        ];
+        [[0, 1], [1, 2], [2, 3], [3, 0], [4, 5], [5, 6], [6, 7], [7, 4], [0, 4], [1, 5], [2, 6], [3, 7]]
+            .forEach(([a, b]) => positions.push(...corners[a], ...corners[b]));
     });
-    const block = new THREE.Mesh(geometry, material);
-    // Blocks are positioned so their bottom is at the integer coordinate
-    // Since block is 1 unit tall, center is at y + 0.5
-    block.position.set(x, y + 0.5, z);
-    block.castShadow = true;
-    block.receiveShadow = true;
-    block.userData.type = type;
-    block.userData.gridY = y; // Store original grid Y for collision
-    return block;
+    
+    if (blockQueryDebugLines) {
+        scene.remove(blockQueryDebugLines);
+        blockQueryDebugLines.geometry.dispose();
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    const material = blockQueryDebugLines ? blockQueryDebugLines.material : new THREE.LineBasicMaterial({ color: 0xff00ff, depthTest: false });
+    blockQueryDebugLines = new THREE.LineSegments(geometry, material);
+    blockQueryDebugLines.renderOrder = 999; // Draw on top of everything
+    blockQueryDebugLines.raycast = () => {}; // Don't get in the way of building
+    scene.add(blockQueryDebugLines);
+    
+    document.getElementById('collision-debug').textContent =
+        `Collision: ${blockQueryDebug.queries} queries, ${blockQueryDebug.chunks.size} chunks, ` +
+        `${blockQueryDebug.tested} of ${blocks.size} blocks tested`;
+    blockQueryDebug = { chunks: new Map(), queries: 0, tested: 0 };
+}
+
+// Raycast against blocks. Hits look like hits on a mesh per block: object is the block
+// and face.normal is the direction the hit face points in.
+function intersectBlocks(raycaster) {
+    if (blockMeshesDirty) {
+        updateBlockMeshes();
+    }
+    if (!blockMeshGroup) return [];
+    return raycaster.intersectObjects(blockMeshGroup.children, false).map(hit => ({
+        ...hit,
+        object: hit.object.userData.blocks[hit.instanceId],
+        face: { ...hit.face, normal: BLOCK_FACES[hit.object.userData.face].normal.clone() }
+    }));
 }
 
 // Setup controls
@@ -1540,6 +1985,18 @@ function setupControls() {
             return; // Let the input handle the key
         }
         
+        // While placing a blueprint, R turns it and Escape cancels it
+        if (blueprintPlacement && (e.code === 'KeyR' || e.code === 'Escape')) {
+            if (e.code === 'KeyR') {
+                rotateBlueprintPlacement();
+            } else {
+                cancelBlueprintPlacement();
+                showSystemMessage('Blueprint placement cancelled');
+            }
+            e.preventDefault();
+            return;
+        }
+        
         // Press Enter to start chatting (if not already focused and help window is closed)
         if (e.key === 'Enter') {
             const chatInput = document.getElementById('chat-input');
@@ -1594,11 +2051,11 @@ function setupControls() {
                 
                 if (inventoryOpen) {
                     // INVENTORY IS OPEN: Only cycle items, NEVER cycle build modes
-                    selectedInventoryIndex = (selectedInventoryIndex - 1 + inventory.length) % inventory.length;
+                    selectedInventoryIndex = (selectedInventoryIndex - 1 + inventory.length) % Math.max(inventory.length, 1);
                     // Update equipped item immediately if in item mode (for preview)
                     // Always update the UI to show the selected item
-                    if (buildMode === null && localPlayer && inventory[selectedInventoryIndex]) {
-                        const selectedItem = inventory[selectedInventoryIndex];
+                    if (buildMode === null && localPlayer && getSelectedItem()) {
+                        const selectedItem = getSelectedItem();
                         localPlayer.userData.equippedItem = selectedItem;
                         createItemInHand(localPlayer, selectedItem);
                         if (socket) {
@@ -1655,11 +2112,11 @@ function setupControls() {
                 if (inventoryOpen) {
                     // INVENTORY IS OPEN: Only cycle items, NEVER cycle build modes
                     e.preventDefault();
-                    selectedInventoryIndex = (selectedInventoryIndex + 1) % inventory.length;
+                    selectedInventoryIndex = (selectedInventoryIndex + 1) % Math.max(inventory.length, 1);
                     // Update equipped item immediately if in item mode (for preview)
                     // Always update the UI to show the selected item
-                    if (buildMode === null && localPlayer && inventory[selectedInventoryIndex]) {
-                        const selectedItem = inventory[selectedInventoryIndex];
+                    if (buildMode === null && localPlayer && getSelectedItem()) {
+                        const selectedItem = getSelectedItem();
                         localPlayer.userData.equippedItem = selectedItem;
                         createItemInHand(localPlayer, selectedItem);
                         if (socket) {
@@ -1702,7 +2159,7 @@ function setupControls() {
                         // Toggle door and all adjacent door blocks
                         const blockKey = nearbyInteractiveBlock.key;
                         const [x, y, z] = blockKey.split(',').map(Number);
-                        const isOpen = block.userData.isOpen || false;
+                        const isOpen = block.userData.meta.isOpen || false;
                         const newState = !isOpen;
                         
                         // Find all connected door blocks (adjacent in X, Y, or Z)
@@ -1710,24 +2167,12 @@ function setupControls() {
                         
                         // Toggle all connected doors
                         doorBlocks.forEach(({ block: doorBlock, key: doorKey }) => {
-                            doorBlock.userData.isOpen = newState;
-                            
-                            // Update material properties
-                            if (newState) {
-                                // Open door: make semi-transparent
-                                doorBlock.material.opacity = 0.3;
-                                doorBlock.material.transparent = true;
-                            } else {
-                                // Close door: restore opacity and collision
-                                doorBlock.material.opacity = 1.0;
-                                doorBlock.material.transparent = false;
-                            }
-                            doorBlock.material.needsUpdate = true;
+                            setBlockMeta(doorBlock, { isOpen: newState });
                             
                             // Sync door state to server
                             if (socket) {
                                 const [dx, dy, dz] = doorKey.split(',').map(Number);
-                                socket.emit('blockUpdate', { x: dx, y: dy, z: dz, type: 'door', isOpen: newState });
+                                socket.emit('blockUpdate', { x: dx, y: dy, z: dz, meta: { isOpen: newState } });
                             }
                         });
                         } else if (blockType === 'sign') {
@@ -1748,8 +2193,8 @@ function setupControls() {
                     // Don't change buildMode when opening inventory - preserve current mode
                 } else {
                     // When closing inventory, equip item if in item mode
-                    if (buildMode === null && localPlayer && inventory[selectedInventoryIndex]) {
-                        const selectedItem = inventory[selectedInventoryIndex];
+                    if (buildMode === null && localPlayer && getSelectedItem()) {
+                        const selectedItem = getSelectedItem();
                         localPlayer.userData.equippedItem = selectedItem;
                         createItemInHand(localPlayer, selectedItem);
                         if (socket) {
@@ -1820,6 +2265,11 @@ function setupControls() {
                 }
                 e.preventDefault();
                 break;
+            case 'F3':
+                // Toggle the collision debug overlay
+                toggleBlockQueryDebug();
+                e.preventDefault();
+                break;
             case 'KeyV':
                 // Toggle emote menu
                 if (localPlayer && !currentCar && playerHealth > 0) {
@@ -1998,7 +2448,30 @@ function setupControls() {
         canvas.addEventListener('contextmenu', (e) => {
             e.preventDefault();
         });
+        
+        // Drop a blueprint or .vox file on the game to start placing it
+        canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+        });
+        canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (file && localPlayer) {
+                if (/\.vox$/i.test(file.name)) {
+                    importVoxFile(file);
+                } else {
+                    importBlueprintFile(file);
+                }
+            }
+        });
     }
+    
+    // The blueprint ghost follows the mouse
+    document.addEventListener('mousemove', (e) => {
+        if (blueprintPlacement && e.target.id === 'game-canvas') {
+            moveBlueprintGhost(e);
+        }
+    });
 
     document.addEventListener('mouseup', (e) => {
         if (e.button === 2) {
@@ -2038,7 +2511,7 @@ function setupControls() {
         raycaster.setFromCamera(mouse, camera);
         
         // Check intersections with blocks, ground, and cars
-        const allObjects = Array.from(blocks.values());
+        const allObjects = [];
         if (scene.children.find(c => c.userData.isGround)) {
             allObjects.push(scene.children.find(c => c.userData.isGround));
         }
@@ -2046,15 +2519,32 @@ function setupControls() {
         cars.forEach(car => {
             allObjects.push(car);
         });
-        const intersects = raycaster.intersectObjects(allObjects, true);
+        const intersects = [...intersectBlocks(raycaster), ...raycaster.intersectObjects(allObjects, true)]
+            .sort((a, b) => a.distance - b.distance);
 
         // Handle item usage or building/deleting based on mode (only left click)
         if (e.button === 0) {
             // Don't allow actions when dead
             if (playerHealth <= 0) return;
             
+            // Clicking while a blueprint ghost is shown places the blueprint
+            if (blueprintPlacement) {
+                moveBlueprintGhost(e);
+                placeBlueprint();
+                return;
+            }
+            
             // Note: Car entry is now handled with E key, not mouse clicks
             
+            // Selection wand: click for corner 1, shift-click for corner 2
+            const wandEquipped = inventoryOpen
+                ? getSelectedItem() === 'wand'
+                : buildMode === null && localPlayer && localPlayer.userData.equippedItem === 'wand';
+            if (wandEquipped) {
+                selectWandCorner(intersects, e.shiftKey ? 2 : 1);
+                return;
+            }
+            
             // If inventory is open, use item
             if (inventoryOpen) {
                 // Store click position for car spawning
@@ -2063,6 +2553,7 @@ function setupControls() {
                 } else {
                     lastClickPosition = null;
                 }
+                lastAimRay = raycaster.ray.clone();
                 useItem(localPlayer);
                 return;
             }
@@ -2075,6 +2566,7 @@ function setupControls() {
                 } else {
                     lastClickPosition = null;
                 }
+                lastAimRay = raycaster.ray.clone();
                 useItem(localPlayer);
                 return;
             }
@@ -2204,12 +2696,58 @@ function setupChat() {
 
     let typingTimeout = null;
     let isTyping = false;
+    
+    // Command autocomplete popup
+    let suggestions = [];
+    let selectedSuggestion = 0;
+    
+    const updateSuggestions = () => {
+        suggestions = getCommandSuggestions(chatInput.value);
+        selectedSuggestion = 0;
+        renderCommandSuggestions(suggestions, selectedSuggestion);
+    };
+    
+    const applySuggestion = (suggestion) => {
+        if (!suggestion || suggestion.completion === null) return;
+        chatInput.value = suggestion.completion;
+        updateSuggestions();
+    };
+    
+    chatInput.addEventListener('input', updateSuggestions);
+    
+    document.getElementById('chat-suggestions').addEventListener('mousedown', (e) => {
+        const item = e.target.closest('.chat-suggestion');
+        if (item) {
+            e.preventDefault(); // Keep focus in the chat input
+            applySuggestion(suggestions[Number(item.dataset.index)]);
+        }
+    });
 
     chatInput.addEventListener('keydown', (e) => {
         // Stop event propagation so game controls don't interfere
         e.stopPropagation();
         
+        if (e.key === 'Tab') {
+            e.preventDefault(); // Don't move focus out of the chat
+            applySuggestion(suggestions[selectedSuggestion]);
+            return;
+        }
+        if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && suggestions.length > 0) {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            selectedSuggestion = (selectedSuggestion + step + suggestions.length) % suggestions.length;
+            renderCommandSuggestions(suggestions, selectedSuggestion);
+            return;
+        }
+        if (e.key === 'Escape' && suggestions.length > 0) {
+            suggestions = [];
+            renderCommandSuggestions(suggestions, 0);
+            return;
+        }
+        
         if (e.key === 'Enter') {
+            suggestions = [];
+            renderCommandSuggestions(suggestions, 0);
             if (chatInput.value.trim()) {
                 sendChatMessage(chatInput.value);
                 chatInput.value = '';
@@ -2251,6 +2789,8 @@ function setupChat() {
     });
 
     chatInput.addEventListener('blur', () => {
+        suggestions = [];
+        renderCommandSuggestions(suggestions, 0);
         // Stop typing indicator when chat loses focus
         if (socket && isTyping) {
             socket.emit('playerTyping', false);
@@ -2263,6 +2803,90 @@ function setupChat() {
     });
 }
 
+// Suggestions for what is typed in chat, from the command catalog
+// Each suggestion has the text shown, a hint, and the chat input after completing it
+// (null for hints that can't be completed, like free text arguments).
+function getCommandSuggestions(value) {
+    if (!value.startsWith('/')) return [];
+    
+    const tokens = value.slice(1).split(' ');
+    const current = tokens[tokens.length - 1].toLowerCase();
+    const before = '/' + tokens.slice(0, -1).map(token => token + ' ').join('');
+    
+    // Still typing the command name
+    if (tokens.length === 1) {
+        const matches = [];
+        commandCatalog.forEach(command => {
+            const name = [command.name, ...command.aliases].find(n => n.startsWith(current));
+            if (name === undefined) return;
+            command.forms.forEach(form => {
+                matches.push({ label: form.usage, hint: form.description, completion: `/${name} ` });
+            });
+        });
+        return matches;
+    }
+    
+    const commandName = tokens[0].toLowerCase();
+    const command = commandCatalog.find(c => c.name === commandName || c.aliases.includes(commandName));
+    if (!command) return [];
+    
+    const matches = [];
+    const argIndex = tokens.length - 2;
+    command.forms.forEach(form => {
+        let position = argIndex;
+        if (form.sub) {
+            if (argIndex === 0) {
+                // Typing the subcommand
+                if (form.sub.startsWith(current)) {
+                    matches.push({ label: form.usage, hint: form.description, completion: `${before}${form.sub} ` });
+                }
+                return;
+            }
+            if (tokens[1].toLowerCase() !== form.sub) return;
+            position--;
+        }
+        
+        const arg = form.args[position];
+        if (!arg) return;
+        let options = [];
+        if (arg.choices) {
+            options = arg.choices;
+        } else if (arg.type === 'player' || arg.name === 'player' || arg.name === 'username') {
+            options = [playerName, ...Array.from(otherPlayers.values()).map(p => p.userData.name)].filter(Boolean);
+        }
+        options = options.filter(option => option.toLowerCase().startsWith(current));
+        
+        if (options.length === 0) {
+            // Nothing to complete - just show what the argument is for
+            matches.push({ label: form.usage, hint: `<${arg.name}>`, completion: null });
+        }
+        options.forEach(option => {
+            matches.push({ label: option, hint: form.usage, completion: `${before}${option} ` });
+        });
+    });
+    return matches;
+}
+
+function renderCommandSuggestions(suggestions, selectedIndex) {
+    const box = document.getElementById('chat-suggestions');
+    if (suggestions.length === 0) {
+        box.style.display = 'none';
+        return;
+    }
+    
+    box.innerHTML = suggestions.map((suggestion, index) =>
+        `<div class="chat-suggestion${index === selectedIndex ? ' selected' : ''}" data-index="${index}">` +
+        `<span class="suggestion-label">${escapeHtml(suggestion.label)}</span>` +
+        `<span class="suggestion-hint">${escapeHtml(suggestion.hint)}</span></div>`
+    ).join('');
+    
+    // Sit just above the chat box
+    const chatContainer = document.getElementById('chat-container');
+    box.style.bottom = (window.innerHeight - chatContainer.getBoundingClientRect().top + 5) + 'px';
+    box.style.display = 'block';
+    box.children[selectedIndex]?.scrollIntoView({ block: 'nearest' });
+}
+
 function sendChatMessage(message) {
     if (socket) {
         socket.emit('chatMessage', message);
@@ -2892,8 +3516,17 @@ function setupVoiceChat() {
     };
 }
 
-// Show help window
-function showHelpWindow(isAdmin) {
+// Escape text before putting it into innerHTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Show help window (built from the command catalog the server sent for our role)
+function showHelpWindow(commands) {
     const helpWindow = document.getElementById('help-window');
     const helpContent = document.getElementById('help-content');
     
@@ -2902,24 +3535,17 @@ function showHelpWindow(isAdmin) {
         return;
     }
     
-    console.log('Showing help window, isAdmin:', isAdmin);
-    
-    let html = '<h3>Available Commands</h3>';
-    html += '<div class="command"><span class="command-name">/help</span><span class="command-desc">- Show this help window</span></div>';
-    
-    if (isAdmin) {
-        html += '<h3>Admin Commands</h3>';
-        html += '<div class="command"><span class="command-name">/fly</span><span class="command-desc">- Toggle fly mode (Space = up, X = down)</span></div>';
-        html += '<div class="command"><span class="command-name">/bot on</span><span class="command-desc">- Enable bot player</span></div>';
-        html += '<div class="command"><span class="command-name">/bot off</span><span class="command-desc">- Disable bot player</span></div>';
-        html += '<div class="command"><span class="command-name">/kick &lt;player&gt;</span><span class="command-desc">- Kick a player from the server</span></div>';
-        html += '<div class="command"><span class="command-name">/tp &lt;x&gt; &lt;y&gt; &lt;z&gt;</span><span class="command-desc">- Teleport to coordinates</span></div>';
-        html += '<div class="command"><span class="command-name">/tp &lt;player&gt;</span><span class="command-desc">- Teleport to a player</span></div>';
-        html += '<div class="command"><span class="command-name">/give &lt;item&gt;</span><span class="command-desc">- Give yourself an item</span></div>';
-        html += '<div class="command"><span class="command-name">/heal [player]</span><span class="command-desc">- Restore full health (self or player)</span></div>';
-        html += '<div class="command"><span class="command-name">/kill [player]</span><span class="command-desc">- Kill yourself or a player</span></div>';
-        html += '<div class="command"><span class="command-name">/admin &lt;player&gt;</span><span class="command-desc">- Make a player an admin</span></div>';
-    }
+    let html = `<h3>Available Commands (${escapeHtml(playerRole)})</h3>`;
+    commands.forEach(command => {
+        command.forms.forEach(form => {
+            html += `<div class="command"><span class="command-name">${escapeHtml(form.usage)}</span><span class="command-desc">- ${escapeHtml(form.description)}</span></div>`;
+        });
+        if (command.aliases.length > 0) {
+            const aliases = command.aliases.map(alias => '/' + alias).join(', ');
+            html += `<div class="command command-aliases"><span class="command-desc">Also: ${escapeHtml(aliases)}</span></div>`;
+        }
+    });
+    html += '<p class="help-tip">Press Tab in chat to complete commands.</p>';
     
     helpContent.innerHTML = html;
     helpWindow.style.display = 'flex';
@@ -3339,8 +3965,12 @@ function checkBodyPartCollision(player, bodyPart, radius, offsetY, delta) {
 function checkCollisionWithBlocks(player, worldPos, radius, returnHitInfo = false) {
     let hitResult = null;
     
-    // Check collision with blocks
-    for (const [key, block] of blocks.entries()) {
+    // Check collision with blocks near the body part
+    const nearbyBlocks = queryBlocksInBox(
+        new THREE.Vector3(worldPos.x - radius, worldPos.y - radius, worldPos.z - radius),
+        new THREE.Vector3(worldPos.x + radius, worldPos.y + radius, worldPos.z + radius)
+    );
+    for (const block of nearbyBlocks) {
         const blockPos = block.position;
         const gridY = block.userData.gridY !== undefined ? block.userData.gridY : Math.round(blockPos.y - 0.5);
         const blockMin = new THREE.Vector3(blockPos.x - 0.5, gridY, blockPos.z - 0.5);
@@ -4618,191 +5248,9 @@ function createItemInHand(player, itemType) {
         return;
     }
     
-    const metalMaterial = new THREE.MeshStandardMaterial({
-        metalness: 0.95,
-        roughness: 0.1,
-        envMapIntensity: 1.5
-    });
-    
-    let itemMesh;
-    
-    if (itemType === 'sword') {
-        // Create sword model - built with origin at the grip (where hand holds it)
-        const swordGroup = new THREE.Group();
-        
-        const bladeMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0xe8e8e8,
-            metalness: 0.95,
-            roughness: 0.05,
-            envMapIntensity: 1.5
-        });
-        
-        const hiltMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x654321,
-            metalness: 0.2,
-            roughness: 0.8
-        });
-        
-        const guardMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x888888,
-            metalness: 0.8,
-            roughness: 0.2
-        });
-        
-        // Sword dimensions - made larger and more visible
-        const bladeLength = 0.8;
-        const bladeWidth = 0.08;
-        const bladeThickness = 0.03;
-        const hiltLength = 0.2;
-        const hiltRadius = 0.06;
-        
-        // Build sword with origin at the grip (top of hilt, where hand holds it)
-        // Blade extends forward (+z), hilt extends backward (-z)
-        
-        // Main blade body - extends forward from grip
-        const bladeGeometry = new THREE.BoxGeometry(bladeThickness, bladeWidth, bladeLength);
-        const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
-        blade.position.z = bladeLength / 2; // Center of blade is forward
-        blade.castShadow = true;
-        swordGroup.add(blade);
-        
-        // Cross guard (horizontal) - at the base of the blade
-        const guardGeometry = new THREE.BoxGeometry(0.3, 0.05, 0.05);
-        const guard = new THREE.Mesh(guardGeometry, guardMaterial);
-        guard.position.z = 0; // At the grip position
-        guard.castShadow = true;
-        swordGroup.add(guard);
-        
-        // Hilt/grip - extends backward from grip
-        const hiltGeometry = new THREE.CylinderGeometry(hiltRadius, hiltRadius, hiltLength, 8);
-        const hilt = new THREE.Mesh(hiltGeometry, hiltMaterial);
-        hilt.rotation.x = Math.PI / 2; // Rotate to extend along z-axis
-        hilt.position.z = -hiltLength / 2; // Center of hilt is backward
-        hilt.castShadow = true;
-        swordGroup.add(hilt);
-        
-        // Pommel (end of hilt) - at the back
-        const pommelGeometry = new THREE.SphereGeometry(0.08, 8, 8);
-        const pommel = new THREE.Mesh(pommelGeometry, guardMaterial);
-        pommel.position.z = -hiltLength; // At the end of hilt
-        pommel.castShadow = true;
-        swordGroup.add(pommel);
-        
-        // Position and orient sword in hand
-        // Sword is attached to rightHandJoint (the hand ball)
-        // Hand joint is at origin of its local space
-        // Rotate so blade points forward (in +z direction)
-        
-        swordGroup.rotation.x = 0; // Reset x rotation so it points forward
-        swordGroup.rotation.y = -Math.PI; // Rotate to point forward (using 1 instead of 2)
-        swordGroup.rotation.z = 0;
-        
-        // Make sure the entire group is visible
-        swordGroup.visible = true;
-        
-        // Position will be set by attachItemToHand
-        itemMesh = swordGroup;
-        
-    } else if (itemType === 'cheeseburger') {
-        // Create cheeseburger - built with origin at grip point
-        const burgerGroup = new THREE.Group();
-        
-        // Bottom bun
-        const bottomBunGeometry = new THREE.CylinderGeometry(0.12, 0.12, 0.03, 16);
-        const bunMaterial = new THREE.MeshStandardMaterial({ color: 0xf4a460 });
-        const bottomBun = new THREE.Mesh(bottomBunGeometry, bunMaterial);
-        bottomBun.rotation.x = Math.PI / 2;
-        bottomBun.position.z = -0.05;
-        burgerGroup.add(bottomBun);
-        
-        // Meat patty
-        const pattyGeometry = new THREE.CylinderGeometry(0.11, 0.11, 0.04, 16);
-        const pattyMaterial = new THREE.MeshStandardMaterial({ color: 0x8b4513 });
-        const patty = new THREE.Mesh(pattyGeometry, pattyMaterial);
-        patty.rotation.x = Math.PI / 2;
-        patty.position.z = -0.02;
-        burgerGroup.add(patty);
-        
-        // Cheese
-        const cheeseGeometry = new THREE.CylinderGeometry(0.11, 0.11, 0.02, 16);
-        const cheeseMaterial = new THREE.MeshStandardMaterial({ color: 0xffd700 });
-        const cheese = new THREE.Mesh(cheeseGeometry, cheeseMaterial);
-        cheese.rotation.x = Math.PI / 2;
-        cheese.position.z = 0;
-        burgerGroup.add(cheese);
-        
-        // Top bun
-        const topBun = new THREE.Mesh(bottomBunGeometry, bunMaterial);
-        topBun.rotation.x = Math.PI / 2;
-        topBun.position.z = 0.03;
-        burgerGroup.add(topBun);
-        
-        // Rotate so burger is held horizontally
-        burgerGroup.rotation.x = Math.PI / 2;
-        burgerGroup.rotation.y = 0;
-        burgerGroup.rotation.z = 0;
-        // Position will be set by attachItemToHand
-        itemMesh = burgerGroup;
-        
-    } else if (itemType === 'soda') {
-        // Create soda can - built with origin at grip point
-        const canGeometry = new THREE.CylinderGeometry(0.06, 0.06, 0.15, 16);
-        const canMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0xff0000,
-            metalness: 0.8,
-            roughness: 0.2
-        });
-        const can = new THREE.Mesh(canGeometry, canMaterial);
-        // Rotate so can is held vertically
-        can.rotation.x = Math.PI / 2;
-        // Position will be set by attachItemToHand
-        itemMesh = can;
-    } else if (itemType === 'baseballbat') {
-        // Create baseball bat - built with origin at grip point
-        const batGroup = new THREE.Group();
-        
-        const batMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x8b4513, // Brown wood color
-            metalness: 0.1,
-            roughness: 0.9
-        });
-        
-        const handleMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x654321, // Darker brown for grip
-            metalness: 0.1,
-            roughness: 0.9
-        });
-        
-        // Bat dimensions
-        const batLength = 0.7;
-        const handleLength = 0.2;
-        const handleRadius = 0.04;
-        const barrelRadius = 0.06;
-        
-        // Handle/grip - extends backward from grip point
-        const handleGeometry = new THREE.CylinderGeometry(handleRadius, handleRadius, handleLength, 8);
-        const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-        handle.rotation.x = Math.PI / 2; // Rotate to extend along z-axis
-        handle.position.z = -handleLength / 2; // Center of handle is backward
-        handle.castShadow = true;
-        batGroup.add(handle);
-        
-        // Barrel/main body - extends forward from grip
-        const barrelGeometry = new THREE.CylinderGeometry(barrelRadius, handleRadius, batLength - handleLength, 8);
-        const barrel = new THREE.Mesh(barrelGeometry, batMaterial);
-        barrel.rotation.x = Math.PI / 2; // Rotate to extend along z-axis
-        barrel.position.z = (batLength - handleLength) / 2; // Center of barrel is forward
-        barrel.castShadow = true;
-        batGroup.add(barrel);
-        
-        // Rotate so bat points forward (same as sword)
-        batGroup.rotation.x = 0;
-        batGroup.rotation.y = -Math.PI; // Rotate to point forward (same as sword)
-        batGroup.rotation.z = 0;
-        batGroup.castShadow = true;
-        // Position will be set by attachItemToHand
-        itemMesh = batGroup;
-    }
+    // Model comes from the item registry (items.js); items without one leave the hand empty
+    const item = ITEMS[itemType];
+    const itemMesh = item && item.model ? item.model(THREE) : null;
     
     // Attach item to hand using helper function
     if (itemMesh) {
@@ -5006,6 +5454,12 @@ function jumpAnimation(player) {
     jumpAnim();
 }
 
+// Item in the selected inventory slot, or null
+function getSelectedItem() {
+    const slot = inventory[selectedInventoryIndex];
+    return slot ? slot.item : null;
+}
+
 // Update inventory UI
 function updateInventoryUI() {
     let inventoryDiv = document.getElementById('inventory');
@@ -5029,11 +5483,11 @@ function updateInventoryUI() {
     
     if (inventoryOpen) {
         inventoryDiv.style.display = 'block';
-        const itemNames = { sword: '⚔️ Sword', cheeseburger: '🍔 Cheeseburger', soda: '🥤 Soda', baseballbat: '⚾ Baseball Bat', car: '🚗 Car' };
         inventoryDiv.innerHTML = `
             <h2 style="color: #fff; margin-bottom: 20px; text-align: center;">Inventory</h2>
             <div style="display: flex; gap: 20px; justify-content: center;">
-                ${inventory.map((item, index) => `
+                ${inventory.length === 0 ? '<div style="color: #aaa;">Empty</div>' : ''}
+                ${inventory.map(({ item, count }, index) => `
                     <div style="
                         padding: 20px;
                         background: ${index === selectedInventoryIndex ? 'rgba(74, 158, 255, 0.5)' : 'rgba(255, 255, 255, 0.1)'};
@@ -5043,8 +5497,8 @@ function updateInventoryUI() {
                         text-align: center;
                         min-width: 120px;
                     ">
-                        <div style="font-size: 48px; margin-bottom: 10px;">${itemNames[item] || item}</div>
-                        <div style="color: #fff; font-size: 14px;">${item === 'sword' ? '25 Damage' : item === 'baseballbat' ? 'Ragdoll' : item === 'cheeseburger' ? 'Heal' : item === 'soda' ? 'Heal' : item === 'car' ? 'Spawn Car' : ''}</div>
+                        <div style="font-size: 48px; margin-bottom: 10px;">${ITEMS[item] ? `${ITEMS[item].icon} ${ITEMS[item].name}` : item}</div>
+                        <div style="color: #fff; font-size: 14px;">${ITEMS[item] ? ITEMS[item].label : ''}${count > 1 ? ` x${count}` : ''}</div>
                     </div>
                 `).join('')}
             </div>
@@ -5055,8 +5509,8 @@ function updateInventoryUI() {
     } else {
         inventoryDiv.style.display = 'none';
         // Auto-equip selected item when closing inventory (only if in item mode)
-        if (localPlayer && inventory[selectedInventoryIndex]) {
-            const selectedItem = inventory[selectedInventoryIndex];
+        if (localPlayer && getSelectedItem()) {
+            const selectedItem = getSelectedItem();
             // Only equip if we're in item mode (buildMode === null)
             if (buildMode === null) {
                 localPlayer.userData.equippedItem = selectedItem;
@@ -5082,63 +5536,53 @@ function useItem(player) {
     // Don't allow item use when dead
     if (playerHealth <= 0) return;
     
-    const item = inventory[selectedInventoryIndex];
-    if (!item) return;
+    // What the item does comes from the item registry (items.js)
+    const item = getSelectedItem();
+    const definition = ITEMS[item];
+    if (!definition) return;
     
     isUsingItem = true;
     itemUseTime = 0;
     
-    if (item === 'sword') {
-        // Sword attack - swing animation and damage
+    if (definition.use === 'melee') {
+        // Melee attack - swing animation, then damage (or a ragdoll launch)
         swingSword(player);
-        // Notify other players of sword swing
+        // Notify other players of the swing
         if (player === localPlayer && socket) {
-            socket.emit('playerUseItemSwing', { item: 'sword' });
-        }
-        // Check for nearby players to damage (with slight delay to hit during swing)
-        setTimeout(() => {
-            checkSwordHit(player);
-        }, 150); // Check damage mid-swing
-    } else if (item === 'baseballbat') {
-        // Baseball bat attack - swing animation and ragdoll launch
-        swingSword(player); // Reuse sword swing animation
-        // Notify other players of bat swing
-        if (player === localPlayer && socket) {
-            socket.emit('playerUseItemSwing', { item: 'baseballbat' });
+            socket.emit('playerUseItemSwing', { item });
         }
         // Check for nearby players to hit (with slight delay to hit during swing)
         setTimeout(() => {
-            checkBatHit(player);
-        }, 150); // Check hit mid-swing
-    } else if (item === 'cheeseburger') {
-        // Eat cheeseburger - heal
-        eatItem(player, 'cheeseburger');
-        if (player === localPlayer) {
-            playerHealth = Math.min(maxHealth, playerHealth + 25);
-            updateHealthBar();
-            // Sync healing to server
-            if (socket) {
-                socket.emit('playerHeal', {
-                    healAmount: 25,
-                    health: playerHealth
-                });
+            if (definition.launch) {
+                checkBatHit(player, item);
+            } else {
+                checkSwordHit(player, item);
             }
+        }, 150); // Check hit mid-swing
+    } else if (definition.use === 'ranged') {
+        // Fire at what we clicked - the server launches the projectile and sends it to everyone
+        if (player === localPlayer && socket) {
+            swingArm(player);
+            const origin = player.position.clone();
+            origin.y += PROJECTILE_LAUNCH_HEIGHT;
+            const direction = getAimPoint().sub(origin);
+            socket.emit('playerFireProjectile', {
+                item,
+                direction: { x: direction.x, y: direction.y, z: direction.z }
+            });
         }
-    } else if (item === 'soda') {
-        // Drink soda - heal
-        drinkItem(player, 'soda');
-        if (player === localPlayer) {
-            playerHealth = Math.min(maxHealth, playerHealth + 15);
-            updateHealthBar();
-            // Sync healing to server
-            if (socket) {
-                socket.emit('playerHeal', {
-                    healAmount: 15,
-                    health: playerHealth
-                });
-            }
+    } else if (definition.use === 'heal') {
+        // Eat or drink - heal
+        if (definition.animation === 'drink') {
+            drinkItem(player, item);
+        } else {
+            eatItem(player, item);
+        }
+        // The server uses up the item and sends back our health and inventory
+        if (player === localPlayer && socket) {
+            socket.emit('playerUseItem', { item });
         }
-    } else if (item === 'car') {
+    } else if (definition.use === 'spawnCar') {
         // Spawn car at click position if available, otherwise in front of player
         if (player === localPlayer) {
             let spawnPosition = null;
@@ -5162,7 +5606,7 @@ function useItem(player) {
     
     setTimeout(() => {
         isUsingItem = false;
-    }, 1000);
+    }, definition.cooldown);
 }
 
 // Swing sword animation
@@ -5201,8 +5645,8 @@ function swingSword(player) {
     animate();
 }
 
-// Check if sword hits a player - 2x1 cube area in front of player
-function checkSwordHit(attacker) {
+// Check if a melee weapon (the sword) hits a player - box in front of player, as long as the weapon's range
+function checkSwordHit(attacker, item = 'sword') {
     if (!attacker || attacker !== localPlayer) return;
     
     const attackAngle = attacker.rotation.y;
@@ -5216,8 +5660,9 @@ function checkSwordHit(attacker) {
     const forwardX = Math.sin(attackAngle);
     const forwardZ = Math.cos(attackAngle);
     
-    // Attack area: 1.5 units forward, 0.8 units wide, 1 unit tall
+    // Attack area: range units forward, 0.8 units wide, 1 unit tall
     // Check all other players
+    const range = ITEMS[item].range;
     let hitFound = false;
     for (const [targetId, target] of otherPlayers.entries()) {
         if (hitFound) break; // Only hit one player per swing
@@ -5235,16 +5680,17 @@ function checkSwordHit(attacker) {
         const verticalDist = Math.abs(relativePos.y);
         
         // Check if target is within attack area
-        // Forward: 0 to 1.5 units in front of player
+        // Forward: 0 to range units in front of player
         // Sideways: within 0.4 units (0.8 units wide total)
         // Vertical: within 0.5 units (1 unit tall total, centered at player height)
-        if (forwardDist >= 0 && forwardDist <= 1.5 && // In front, within range
+        if (forwardDist >= 0 && forwardDist <= range && // In front, within range
             sideDist <= 0.4 && // Within width
             verticalDist <= 0.5) { // Within height
             // Deal damage
             console.log('Sword hit player:', targetId, 'forward:', forwardDist.toFixed(2), 'side:', sideDist.toFixed(2));
             if (socket) {
-                socket.emit('playerDamage', { targetId, damage: 25 });
+                // The server checks the hit against where it had us both when we saw it
+                socket.emit('playerDamage', { targetId, weapon: item, time: getViewTime() });
             }
             hitFound = true;
         }
@@ -5252,7 +5698,7 @@ function checkSwordHit(attacker) {
 }
 
 // Check if baseball bat hits a player - launches player and triggers ragdoll
-function checkBatHit(attacker) {
+function checkBatHit(attacker, item = 'baseballbat') {
     if (!attacker || attacker !== localPlayer) return;
     
     const attackAngle = attacker.rotation.y;
@@ -5262,7 +5708,8 @@ function checkBatHit(attacker) {
     const forwardX = Math.sin(attackAngle);
     const forwardZ = Math.cos(attackAngle);
     
-    // Attack area: 1.5 units forward, 0.8 units wide, 1 unit tall (same as sword)
+    // Attack area: range units forward, 0.8 units wide, 1 unit tall (same as sword)
+    const range = ITEMS[item].range;
     let hitFound = false;
     for (const [targetId, target] of otherPlayers.entries()) {
         if (hitFound) break;
@@ -5274,7 +5721,7 @@ function checkBatHit(attacker) {
         const sideDist = Math.abs(relativePos.x * forwardZ - relativePos.z * forwardX);
         const verticalDist = Math.abs(relativePos.y);
         
-        if (forwardDist >= 0 && forwardDist <= 1.5 &&
+        if (forwardDist >= 0 && forwardDist <= range &&
             sideDist <= 0.4 &&
             verticalDist <= 0.5) {
             // Launch player forward approximately 10 blocks (10 units) and trigger ragdoll
@@ -5297,8 +5744,8 @@ function checkBatHit(attacker) {
             if (socket) {
                 socket.emit('playerBatHit', { 
                     targetId, 
-                    launchDirection: { x: forwardX, y: 0.7, z: forwardZ },
-                    attackerId: socket.id,
+                    weapon: item,
+                    time: getViewTime(), // The server checks the hit against where it had us both then
                     angularVelocities: initialAngularVelocities // Send initial angular velocities
                 });
             }
@@ -5665,6 +6112,50 @@ function createDeathExplosion(position, cubeData = null) {
 // Setup login screen
 let isGuest = false;
 let currentUsername = null;
+let currentWorld = 'default'; // World picked on the login screen (or joined with /world join)
+let sessionToken = null; // Issued by the server on login, used to resume after a dropped connection
+const SESSION_RESUME_ATTEMPTS = 15; // Retries while the server still holds our old connection
+const SESSION_RESUME_RETRY_DELAY = 2000; // ms
+let resumeAttempts = 0;
+let pendingCarSeat = null; // Car seat to retake once the gameState of a resumed session arrives
+let playerRole = 'guest'; // Role assigned by the server (owner, admin, moderator, builder, member, guest)
+let playerPermissions = new Set(); // Permissions granted to that role
+let commandCatalog = []; // Chat commands we can use (drives the help window and autocomplete)
+
+function setPlayerRole(role, permissions, commands) {
+    playerRole = role || 'guest';
+    playerPermissions = new Set(permissions || []);
+    commandCatalog = commands || [];
+}
+
+// Random ID kept in this browser, sent when connecting so bans on guests stick
+function getDeviceId() {
+    let deviceId = localStorage.getItem('deviceId');
+    if (!deviceId) {
+        deviceId = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem('deviceId', deviceId);
+    }
+    return deviceId;
+}
+
+function createSocket() {
+    return io({ auth: { fingerprint: getDeviceId() } });
+}
+
+// Show why we were banned on the login screen
+function showBannedMessage(message) {
+    returnToMenu();
+    const loginMessage = document.getElementById('login-message');
+    if (loginMessage) {
+        loginMessage.textContent = message;
+        loginMessage.style.color = 'red';
+    }
+}
+
+// Client-side check only, so we don't show things the server would reject anyway
+function hasPermission(permission) {
+    return playerPermissions.has(permission);
+}
 
 // Preview scene for customization
 let previewScene = null;
@@ -5681,7 +6172,7 @@ function setupLoginScreen() {
             socket.removeAllListeners();
             socket.disconnect();
         }
-        socket = io();
+        socket = createSocket();
     }
 
     // Remove old socket listeners to prevent duplicates
@@ -5754,6 +6245,8 @@ function setupLoginScreen() {
         if (data.success) {
             isGuest = data.isGuest || false;
             currentUsername = isGuest ? null : data.username;
+            sessionToken = data.sessionToken || null;
+            setPlayerRole(data.role, data.permissions, data.commands);
             
             if (isGuest) {
                 playerName = document.getElementById('guest-name').value.trim() || 'Guest';
@@ -5796,6 +6289,9 @@ function setupLoginScreen() {
                 document.getElementById('hat-group').style.display = 'none';
             }
             
+            // Show world picker
+            renderWorldPicker(data.worlds || []);
+            
             // Initialize preview
             initPreview();
         } else {
@@ -5904,7 +6400,8 @@ function setupLoginScreen() {
                     name: playerName,
                     color: playerColor,
                     hat: isGuest ? 'none' : playerHat,
-                    cape: isGuest ? 'none' : playerCape
+                    cape: isGuest ? 'none' : playerCape,
+                    world: currentWorld
                 });
             } else {
                 // Wait for connection
@@ -5913,7 +6410,8 @@ function setupLoginScreen() {
                         name: playerName,
                         color: playerColor,
                         hat: isGuest ? 'none' : playerHat,
-                        cape: isGuest ? 'none' : playerCape
+                        cape: isGuest ? 'none' : playerCape,
+                        world: currentWorld
                     });
                 });
             }
@@ -5934,6 +6432,35 @@ function setupLoginScreen() {
     document.querySelector('.hat-option[data-hat="none"]')?.classList.add('selected');
 }
 
+// Fill the world picker with the worlds sent in authResponse
+function renderWorldPicker(worldList) {
+    const selector = document.getElementById('world-selector');
+    if (!selector) return;
+    
+    // Fall back to the first world if the previously picked one no longer exists
+    if (worldList.length > 0 && !worldList.some(w => w.name === currentWorld)) {
+        currentWorld = worldList[0].name;
+    }
+    
+    selector.innerHTML = '';
+    worldList.forEach(world => {
+        const option = document.createElement('div');
+        option.className = 'world-option' + (world.name === currentWorld ? ' selected' : '');
+        option.dataset.world = world.name;
+        option.textContent = world.name;
+        const count = document.createElement('span');
+        count.className = 'world-player-count';
+        count.textContent = `${world.players} online`;
+        option.appendChild(count);
+        option.addEventListener('click', () => {
+            selector.querySelectorAll('.world-option').forEach(o => o.classList.remove('selected'));
+            option.classList.add('selected');
+            currentWorld = world.name;
+        });
+        selector.appendChild(option);
+    });
+}
+
 // Initialize preview scene
 function initPreview() {
     const canvas = document.getElementById('preview-canvas');
@@ -6377,16 +6904,128 @@ function updateVolume() {
     if (ragdollSound) ragdollSound.volume = 0.6 * masterVolume;
 }
 
-// Return to menu
-function returnToMenu() {
-    // Close pause menu
-    togglePauseMenu();
-    
-    // Disconnect from server
-    if (socket) {
-        socket.disconnect();
-        socket = null;
-    }
+// Remove all other players, blocks and cars (when leaving a world or returning to menu)
+function clearWorldState() {
+    // Remove other players and their UI elements
+    otherPlayers.forEach((player) => {
+        // Remove cape if it exists
+        if (player.userData.capeMesh) {
+            const capeMesh = player.userData.capeMesh;
+            if (capeMesh.parent) {
+                scene.remove(capeMesh);
+            }
+            // Dispose cape geometry and materials
+            capeMesh.traverse((child) => {
+                if (child instanceof THREE.Mesh) {
+                    if (child.geometry) child.geometry.dispose();
+                    if (child.material) {
+                        if (Array.isArray(child.material)) {
+                            child.material.forEach(m => m.dispose());
+                        } else {
+                            child.material.dispose();
+                        }
+                    }
+                }
+            });
+        }
+        
+        // Remove from scene
+        if (player.parent) {
+            scene.remove(player);
+        }
+        const index = scene.children.indexOf(player);
+        if (index !== -1) {
+            scene.children.splice(index, 1);
+        }
+        
+        // Remove UI elements
+        if (player.userData.speechBubble && player.userData.speechBubble.parentNode) {
+            player.userData.speechBubble.parentNode.removeChild(player.userData.speechBubble);
+        }
+        if (player.userData.nameLabel && player.userData.nameLabel.parentNode) {
+            player.userData.nameLabel.parentNode.removeChild(player.userData.nameLabel);
+        }
+        if (player.userData.healthBar && player.userData.healthBar.parentNode) {
+            player.userData.healthBar.parentNode.removeChild(player.userData.healthBar);
+        }
+        if (player.userData.typingBubble && player.userData.typingBubble.parentNode) {
+            player.userData.typingBubble.parentNode.removeChild(player.userData.typingBubble);
+        }
+        
+        // Dispose player geometry and materials
+        player.traverse((child) => {
+            if (child instanceof THREE.Mesh) {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) {
+                    if (Array.isArray(child.material)) {
+                        child.material.forEach(m => m.dispose());
+                    } else {
+                        child.material.dispose();
+                    }
+                }
+            }
+        });
+    });
+    otherPlayers.clear();
+    
+    // Remove all blocks from the scene
+    blocks.clear();
+    blockChunks.clear();
+    loadedChunks.clear();
+    clearBlockMeshes();
+    
+    // Remove all cars from the scene
+    cars.forEach((car) => {
+        if (car.parent) {
+            scene.remove(car);
+        }
+        // Dispose car geometry and materials
+        car.traverse((child) => {
+            if (child instanceof THREE.Mesh) {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) {
+                    if (Array.isArray(child.material)) {
+                        child.material.forEach(m => m.dispose());
+                    } else {
+                        child.material.dispose();
+                    }
+                }
+            }
+        });
+    });
+    cars.clear();
+    currentCar = null;
+    carSeatIndex = -1;
+    
+    // Projectiles in flight
+    Array.from(projectiles.keys()).forEach(removeProjectileMesh);
+    
+    // Remove claim borders
+    claims = [];
+    claimSelection = null;
+    renderClaimBorders();
+    
+    // The edit selection belongs to the world it was made in
+    editSelection = null;
+    renderEditSelection();
+    cancelBlueprintPlacement();
+}
+
+// Return to menu
+function returnToMenu() {
+    // Close pause menu
+    if (pauseMenuOpen) {
+        togglePauseMenu();
+    }
+    
+    // Log out (revokes the session token) and disconnect from server
+    if (socket) {
+        socket.emit('logout');
+        socket.disconnect();
+        socket = null;
+    }
+    sessionToken = null;
+    pendingCarSeat = null;
     
     // Hide game container
     document.getElementById('game-container').style.display = 'none';
@@ -6544,104 +7183,14 @@ function returnToMenu() {
     }
     
     // Reconnect socket and re-setup login screen
-    socket = io();
+    socket = createSocket();
     setupLoginScreen();
     
     // Show login screen
     document.getElementById('login-screen').style.display = 'flex';
     
-    // Remove other players and their UI elements
-    otherPlayers.forEach((player) => {
-        // Remove cape if it exists
-        if (player.userData.capeMesh) {
-            const capeMesh = player.userData.capeMesh;
-            if (capeMesh.parent) {
-                scene.remove(capeMesh);
-            }
-            // Dispose cape geometry and materials
-            capeMesh.traverse((child) => {
-                if (child instanceof THREE.Mesh) {
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(m => m.dispose());
-                        } else {
-                            child.material.dispose();
-                        }
-                    }
-                }
-            });
-        }
-        
-        // Remove from scene
-        if (player.parent) {
-            scene.remove(player);
-        }
-        const index = scene.children.indexOf(player);
-        if (index !== -1) {
-            scene.children.splice(index, 1);
-        }
-        
-        // Remove UI elements
-        if (player.userData.speechBubble && player.userData.speechBubble.parentNode) {
-            player.userData.speechBubble.parentNode.removeChild(player.userData.speechBubble);
-        }
-        if (player.userData.nameLabel && player.userData.nameLabel.parentNode) {
-            player.userData.nameLabel.parentNode.removeChild(player.userData.nameLabel);
-        }
-        if (player.userData.healthBar && player.userData.healthBar.parentNode) {
-            player.userData.healthBar.parentNode.removeChild(player.userData.healthBar);
-        }
-        if (player.userData.typingBubble && player.userData.typingBubble.parentNode) {
-            player.userData.typingBubble.parentNode.removeChild(player.userData.typingBubble);
-        }
-        
-        // Dispose player geometry and materials
-        player.traverse((child) => {
-            if (child instanceof THREE.Mesh) {
-                if (child.geometry) child.geometry.dispose();
-                if (child.material) {
-                    if (Array.isArray(child.material)) {
-                        child.material.forEach(m => m.dispose());
-                    } else {
-                        child.material.dispose();
-                    }
-                }
-            }
-        });
-    });
-    otherPlayers.clear();
-    
-    // Remove all blocks from the scene
-    blocks.forEach((block) => {
-        if (block.parent) {
-            scene.remove(block);
-        }
-    });
-    blocks.clear();
-    
-    // Remove all cars from the scene
-    cars.forEach((car) => {
-        if (car.parent) {
-            scene.remove(car);
-        }
-        // Dispose car geometry and materials
-        car.traverse((child) => {
-            if (child instanceof THREE.Mesh) {
-                if (child.geometry) child.geometry.dispose();
-                if (child.material) {
-                    if (Array.isArray(child.material)) {
-                        child.material.forEach(m => m.dispose());
-                    } else {
-                        child.material.dispose();
-                    }
-                }
-            }
-        });
-    });
-    cars.clear();
-    currentCar = null;
-    carSeatIndex = -1;
+    // Remove other players, blocks and cars
+    clearWorldState();
     
     // Remove local health bar UI if present
     const localHealthBar = document.getElementById('local-health-bar');
@@ -6682,8 +7231,7 @@ function killPlayer() {
     if (socket) {
         socket.emit('playerDamage', {
             targetId: socket.id,
-            damage: 1000, // Massive damage to ensure death
-            allowSelf: true // Allow self-damage on server for reset
+            cause: 'reset' // Self-damage - the server kills us
         });
     }
 }
@@ -6696,7 +7244,7 @@ function connectToServer() {
         if (socket) {
             socket.disconnect();
         }
-        socket = io();
+        socket = createSocket();
     }
 
     // Remove old event listeners to prevent duplicates
@@ -6704,59 +7252,181 @@ function connectToServer() {
         socket.off('connect');
         socket.off('gameState');
         socket.off('playerJoined');
-        socket.off('playerMoved');
+        socket.off('snapshot');
         socket.off('playerLeft');
         socket.off('chatMessage');
         socket.off('blockPlaced');
         socket.off('blockRemoved');
+        socket.off('blocksChanged');
+        socket.off('chunksChanged');
         socket.off('blockUpdated');
         socket.off('playerDamaged');
         socket.off('playerDied');
         socket.off('playerRespawned');
         socket.off('playerHealthUpdate');
         socket.off('playerEquippedItem');
+        socket.off('inventoryUpdate');
         socket.off('playerUseItemSwing');
+        socket.off('projectileSpawned');
+        socket.off('projectileRemoved');
         socket.off('playerSwungArm');
         socket.off('playerTyping');
         socket.off('playerRagdoll');
         socket.off('playerBatHit');
         socket.off('playerRagdollAngularVelocities');
         socket.off('carSpawned');
-        socket.off('carUpdated');
         socket.off('playerEnteredCar');
         socket.off('playerExitedCar');
+        socket.off('carEntryRejected');
         socket.off('voiceChatOffer');
         socket.off('voiceChatAnswer');
         socket.off('voiceChatIceCandidate');
         socket.off('voiceChatPlayersNearby');
-    }
-
-    socket.on('connect', () => {
-        console.log('Connected to server');
-        // Send player customization data if we have it
+        socket.off('worldChanged');
+        socket.off('sessionResumed');
+        socket.off('playerIdChanged');
+        socket.off('roleChanged');
+        socket.off('carRemoved');
+        socket.off('banned');
+        socket.off('claimsUpdated');
+        socket.off('claimSelection');
+        socket.off('editSelection');
+        socket.off('blueprintExport');
+        socket.off('exportModel');
+        socket.off('toggleClaimBorders');
+    }
+
+    // Send player customization data (joins the world on the server)
+    const sendPlayerCustomization = () => {
         if (playerName && playerColor !== undefined) {
             socket.emit('playerCustomization', {
                 name: playerName,
                 color: playerColor,
                 hat: playerHat || 'none',
-                cape: playerCape || 'none'
+                cape: playerCape || 'none',
+                world: currentWorld
             });
         }
+    };
+
+    socket.on('connect', () => {
+        console.log('Connected to server');
+        // Reconnected after a dropped connection - resume the session if we have one
+        if (sessionToken) {
+            socket.emit('resumeSession', { token: sessionToken });
+            return;
+        }
+        sendPlayerCustomization();
+    });
+    
+    socket.on('sessionResumed', (data) => {
+        if (data.banned) {
+            showBannedMessage(data.message);
+            return;
+        }
+        if (data.inUse && resumeAttempts < SESSION_RESUME_ATTEMPTS) {
+            // The server hasn't noticed our old connection drop yet - try again shortly
+            resumeAttempts++;
+            setTimeout(() => {
+                if (socket.connected && sessionToken) {
+                    socket.emit('resumeSession', { token: sessionToken });
+                }
+            }, SESSION_RESUME_RETRY_DELAY);
+            return;
+        }
+        resumeAttempts = 0;
+        if (!data.success) {
+            // Session expired, revoked, or in use elsewhere - rejoin without it
+            sessionToken = null;
+            clearWorldState();
+            sendPlayerCustomization();
+            return;
+        }
+        
+        setPlayerRole(data.role, data.permissions, data.commands);
+        
+        // Drop the stale world state - a fresh gameState follows
+        clearWorldState();
+        currentCar = null;
+        carSeatIndex = -1;
+        
+        if (!data.restored) {
+            // Grace period is over - join again as a new player
+            if (localPlayer) localPlayer.visible = true;
+            sendPlayerCustomization();
+            return;
+        }
+        
+        // Restore the player state the server kept for us
+        const state = data.player;
+        currentWorld = state.world;
+        isFlying = data.flying || false;
+        playerHealth = state.health;
+        updateHealthBar();
+        if (localPlayer) {
+            localPlayer.position.set(state.position.x, state.position.y, state.position.z);
+            localPlayer.visible = playerHealth > 0 && !state.inCar;
+            velocity.set(0, 0, 0);
+            
+            if (state.equippedItem) {
+                localPlayer.userData.equippedItem = state.equippedItem;
+                createItemInHand(localPlayer, state.equippedItem);
+            } else {
+                removeItemFromHand(localPlayer);
+                localPlayer.userData.equippedItem = null;
+            }
+        }
+        pendingCarSeat = state.inCar ? { carId: state.inCar, seatIndex: state.carSeatIndex } : null;
+        console.log('Session resumed');
+    });
+    
+    // A player resumed their session on a new connection
+    socket.on('playerIdChanged', (data) => {
+        const player = otherPlayers.get(data.oldId);
+        if (player) {
+            otherPlayers.delete(data.oldId);
+            otherPlayers.set(data.newId, player);
+            // The voice connection belonged to the old socket
+            if (window.voiceChatHandlers && window.voiceChatHandlers.cleanupPeerConnection) {
+                window.voiceChatHandlers.cleanupPeerConnection(data.oldId);
+            }
+        }
+        cars.forEach(car => {
+            if (car.userData.ownerId === data.oldId) {
+                car.userData.ownerId = data.newId;
+            }
+        });
     });
 
     socket.on('gameState', (data) => {
+        if (data.world) {
+            currentWorld = data.world;
+        }
+        
+        // The blocks below are the chunks around us; more arrive as we move
+        worldChunkSize = data.chunkSize || worldChunkSize;
+        loadedChunks.clear();
+        (data.chunks || []).forEach(chunkKey => loadedChunks.add(chunkKey));
+        
         // Add other players
         data.players.forEach(playerData => {
             if (playerData.id !== socket.id) {
                 addOtherPlayer(playerData);
+                const player = otherPlayers.get(playerData.id);
+                if (player) {
+                    updatePlayerInView(player);
+                }
             }
         });
 
         // Add existing blocks
         data.blocks.forEach(blockData => {
-            addBlock(blockData.x, blockData.y, blockData.z, blockData.type);
+            addBlock(blockData.x, blockData.y, blockData.z, blockData.type, blockData.meta);
         });
         
+        claims = data.claims || [];
+        renderClaimBorders();
+        
         // Add existing cars
         if (data.cars) {
             data.cars.forEach(carData => {
@@ -6778,40 +7448,52 @@ function connectToServer() {
                 cars.set(carData.carId, car);
             });
         }
+        
+        // Retake our car seat after resuming a session
+        if (pendingCarSeat) {
+            const car = cars.get(pendingCarSeat.carId);
+            if (car && localPlayer) {
+                currentCar = car;
+                carSeatIndex = pendingCarSeat.seatIndex;
+                car.userData.seats[carSeatIndex] = localPlayer;
+                localPlayer.visible = false;
+            } else if (localPlayer) {
+                localPlayer.visible = playerHealth > 0;
+            }
+            pendingCarSeat = null;
+        }
     });
 
     socket.on('playerJoined', (playerData) => {
         addOtherPlayer(playerData);
+        const player = otherPlayers.get(playerData.id);
+        if (player) {
+            updatePlayerInView(player);
+        }
         updatePlayerCount();
     });
 
-    socket.on('playerMoved', (data) => {
-        const player = otherPlayers.get(data.id);
-        if (player) {
-            const oldPos = player.position.clone();
-            // Store last position for cape physics (before updating position)
-            // This ensures animateCape can calculate velocity correctly
-            if (!player.userData.lastPosition) {
-                player.userData.lastPosition = oldPos.clone();
-            } else {
-                // Update lastPosition to the position before this update
-                player.userData.lastPosition = oldPos.clone();
-            }
-            player.position.set(data.position.x, data.position.y, data.position.z);
-            player.rotation.y = data.rotation.y;
-            // Head no longer rotates with camera - keep it fixed
-            // Check if player is moving
-            const distance = oldPos.distanceTo(player.position);
-            const wasMoving = player.userData.isMoving;
-            player.userData.isMoving = distance > 0.01;
-            // Sync sprint state for animation
-            player.userData.isSprinting = data.isSprinting || false;
-            
-            // Stop non-looping emotes when player starts moving
-            if (player.userData.isMoving && !wasMoving && player.userData.currentEmote && player.userData.currentEmote !== 'gangnam') {
-                stopEmote(player);
+    // Other players' and cars' state from the server tick, drawn by updateInterpolatedObjects
+    socket.on('snapshot', (data) => {
+        const offset = data.time - Date.now();
+        serverTimeOffset = serverTimeOffset === null ? offset : serverTimeOffset + (offset - serverTimeOffset) * 0.05;
+        
+        data.players.forEach(playerData => {
+            const player = otherPlayers.get(playerData.id);
+            if (player && playerData.position) {
+                pushSnapshot(player, data.time, {
+                    position: playerData.position,
+                    rotation: playerData.rotation || { x: 0, y: 0, z: 0 },
+                    isSprinting: playerData.isSprinting
+                });
             }
-        }
+        });
+        data.cars.forEach(carData => {
+            const car = cars.get(carData.carId);
+            if (car && carData.position && carData.rotation) {
+                pushSnapshot(car, data.time, { position: carData.position, rotation: carData.rotation });
+            }
+        });
     });
     
     socket.on('playerEmote', (data) => {
@@ -6825,6 +7507,15 @@ function connectToServer() {
         }
     });
     
+    // Server rejected a car we spawned
+    socket.on('carRemoved', (data) => {
+        const car = cars.get(data.carId);
+        if (car) {
+            scene.remove(car);
+            cars.delete(data.carId);
+        }
+    });
+    
     // Handle car spawn from other players
     socket.on('carSpawned', (carData) => {
         // Only create if we don't already have this car
@@ -6849,18 +7540,6 @@ function connectToServer() {
     });
     
     // Handle car position/rotation update from other players
-    socket.on('carUpdated', (data) => {
-        const car = cars.get(data.carId);
-        // Only skip sync if we're the driver (seatIndex 0) - passengers should still see updates
-        if (car && !(currentCar === car && carSeatIndex === 0)) {
-            // Smoothly interpolate to new position
-            car.position.lerp(new THREE.Vector3(data.position.x, data.position.y, data.position.z), 0.3);
-            car.rotation.x = THREE.MathUtils.lerp(car.rotation.x, data.rotation.x, 0.3);
-            car.rotation.y = THREE.MathUtils.lerp(car.rotation.y, data.rotation.y, 0.5);
-            car.rotation.z = THREE.MathUtils.lerp(car.rotation.z, data.rotation.z, 0.3);
-        }
-    });
-    
     // Handle player entering car
     socket.on('playerEnteredCar', (data) => {
         const player = otherPlayers.get(data.playerId);
@@ -6877,6 +7556,20 @@ function connectToServer() {
         }
     });
     
+    // The server didn't let us into a car (too far away, or the seat was taken)
+    socket.on('carEntryRejected', (data) => {
+        const car = cars.get(data.carId);
+        if (car && currentCar === car) {
+            if (car.userData.seats[carSeatIndex] === localPlayer) {
+                car.userData.seats[carSeatIndex] = null;
+            }
+            currentCar = null;
+            carSeatIndex = -1;
+            localPlayer.visible = true;
+        }
+        showSystemMessage(data.message);
+    });
+    
     // Handle player exiting car
     socket.on('playerExitedCar', (data) => {
         const player = otherPlayers.get(data.playerId);
@@ -6927,7 +7620,25 @@ function connectToServer() {
     });
     
     socket.on('showHelpWindow', (data) => {
-        showHelpWindow(data.isAdmin);
+        commandCatalog = data.commands || commandCatalog;
+        showHelpWindow(commandCatalog);
+    });
+    
+    // Banned while playing - the server disconnects us right after this
+    socket.on('banned', (data) => {
+        showBannedMessage(data.message);
+    });
+    
+    // Our role was changed by an admin
+    socket.on('roleChanged', (data) => {
+        setPlayerRole(data.role, data.permissions, data.commands);
+        renderClaimBorders(); // Claims we may build in can change with the role
+        displayChatMessage({
+            id: 'system',
+            username: 'System',
+            message: `Your role is now ${data.role}`,
+            timestamp: new Date().toLocaleTimeString()
+        });
     });
     
     socket.on('flyStateChanged', (data) => {
@@ -6938,15 +7649,71 @@ function connectToServer() {
         }
     });
     
+    // Switched worlds with /world join - drop the old world, the new gameState follows
+    socket.on('worldChanged', (data) => {
+        currentWorld = data.world;
+        if (currentCar) {
+            localPlayer.visible = true;
+            currentCar = null;
+            carSeatIndex = -1;
+        }
+        clearWorldState();
+        if (localPlayer && data.position) {
+            localPlayer.position.set(data.position.x, data.position.y, data.position.z);
+            velocity.set(0, 0, 0);
+        }
+    });
+    
+    // Teleported by a command, or sent back by the server after an impossible move
     socket.on('teleport', (data) => {
         if (localPlayer) {
             localPlayer.position.set(data.x, data.y, data.z);
+            velocity.set(0, 0, 0);
         }
     });
     
-    socket.on('giveItem', (data) => {
-        if (data.item && !inventory.includes(data.item)) {
-            inventory.push(data.item);
+    // Someone fired a ranged weapon - draw the projectile along the server's arc
+    socket.on('projectileSpawned', (data) => {
+        const item = ITEMS[data.item];
+        if (!item || !item.projectile) return;
+        if (serverTimeOffset === null) {
+            serverTimeOffset = data.time - Date.now();
+        }
+        const mesh = item.projectile.model(THREE);
+        scene.add(mesh);
+        projectiles.set(data.id, {
+            mesh,
+            position: data.position,
+            velocity: data.velocity,
+            gravity: data.gravity,
+            time: data.time,
+            flightTime: null // Set when the server says where it stopped
+        });
+        updateProjectiles();
+        
+        const owner = otherPlayers.get(data.ownerId);
+        if (owner) {
+            swingArm(owner);
+        }
+    });
+    
+    socket.on('projectileRemoved', (data) => {
+        const projectile = projectiles.get(data.id);
+        if (projectile) {
+            projectile.flightTime = data.flightTime;
+        }
+    });
+    
+    // Our inventory changed on the server (joined a world, used up an item, /give, ...)
+    socket.on('inventoryUpdate', (data) => {
+        inventory = data.slots;
+        selectedInventoryIndex = Math.min(selectedInventoryIndex, Math.max(inventory.length - 1, 0));
+        // Put away a held item we no longer have
+        if (localPlayer && localPlayer.userData.equippedItem && !inventory.some(slot => slot.item === localPlayer.userData.equippedItem)) {
+            localPlayer.userData.equippedItem = null;
+            removeItemFromHand(localPlayer);
+        }
+        if (inventoryOpen) {
             updateInventoryUI();
         }
     });
@@ -6984,31 +7751,97 @@ function connectToServer() {
     });
 
     socket.on('blockPlaced', (blockData) => {
-        addBlock(blockData.x, blockData.y, blockData.z, blockData.type);
+        addBlock(blockData.x, blockData.y, blockData.z, blockData.type, blockData.meta);
     });
 
     socket.on('blockRemoved', (data) => {
         removeBlock(data.x, data.y, data.z);
     });
     
+    // Many blocks changed at once (e.g. /rollback); block is null where a block was removed
+    socket.on('blocksChanged', (data) => {
+        data.changes.forEach(({ x, y, z, block }) => {
+            const existing = blocks.get(`${x},${y},${z}`);
+            if (existing && block && existing.userData.type === block.type) {
+                setBlockMeta(existing, block.meta || {});
+                return;
+            }
+            removeBlock(x, y, z);
+            if (block) {
+                addBlock(x, y, z, block.type, block.meta);
+            }
+        });
+    });
+    
+    // We moved into another chunk: new chunks came into view (with the players in them)
+    // and chunks out of view should be dropped
+    socket.on('chunksChanged', (data) => {
+        data.unload.forEach(chunkKey => unloadChunk(chunkKey));
+        data.load.forEach(({ chunk, blocks: chunkBlocks }) => {
+            loadedChunks.add(chunk);
+            chunkBlocks.forEach(blockData => {
+                removeBlock(blockData.x, blockData.y, blockData.z);
+                addBlock(blockData.x, blockData.y, blockData.z, blockData.type, blockData.meta);
+            });
+        });
+        data.players.forEach(playerData => {
+            const player = otherPlayers.get(playerData.id);
+            if (player && playerData.position) {
+                player.position.set(playerData.position.x, playerData.position.y, playerData.position.z);
+                if (playerData.rotation) {
+                    player.rotation.y = playerData.rotation.y;
+                }
+            }
+        });
+        // Players in chunks that just loaded or unloaded
+        otherPlayers.forEach(player => updatePlayerInView(player));
+    });
+    
+    // Land claims in this world were added, removed or changed
+    socket.on('claimsUpdated', (data) => {
+        claims = data.claims;
+        renderClaimBorders();
+    });
+    
+    // Corners marked with /claim pos1 and /claim pos2 (null once the claim is made)
+    socket.on('claimSelection', (selection) => {
+        claimSelection = selection;
+        renderClaimBorders();
+    });
+    
+    // /gltf - build the model from the blocks the server sent
+    socket.on('exportModel', (options) => {
+        exportWorldModel(options);
+    });
+    
+    // Blueprint made with /export, save it as a file
+    socket.on('blueprintExport', (blueprint) => {
+        downloadBlueprint(blueprint);
+    });
+    
+    // Our region edit selection changed
+    socket.on('editSelection', (selection) => {
+        editSelection = selection;
+        renderEditSelection();
+    });
+    
+    socket.on('toggleClaimBorders', () => {
+        claimBordersVisible = !claimBordersVisible;
+        renderClaimBorders();
+        displayChatMessage({
+            id: 'system',
+            username: 'System',
+            message: claimBordersVisible ? 'Showing claim borders (green = you can build)' : 'Claim borders hidden',
+            timestamp: new Date().toLocaleTimeString()
+        });
+    });
+    
     socket.on('blockUpdated', (data) => {
         // Use key field if available, otherwise reconstruct from x, y, z
         const blockKey = data.key || `${data.x},${data.y},${data.z}`;
         const block = blocks.get(blockKey);
-        if (block) {
-            if (data.type === 'door') {
-                block.userData.isOpen = data.isOpen !== undefined ? data.isOpen : false;
-                if (block.userData.isOpen) {
-                    block.material.opacity = 0.3;
-                    block.material.transparent = true;
-                } else {
-                    block.material.opacity = 1.0;
-                    block.material.transparent = false;
-                }
-                block.material.needsUpdate = true;
-            } else if (data.type === 'sign') {
-                block.userData.message = data.message || '';
-            }
+        if (block && data.meta) {
+            setBlockMeta(block, data.meta);
         }
     });
 
@@ -7124,6 +7957,7 @@ function connectToServer() {
             if (player) {
                 player.userData.health = maxHealth;
                 player.userData.ragdoll = false;
+                player.userData.snapshots = []; // Don't slide back to where they died
                 player.position.set(data.position.x, data.position.y, data.position.z);
                 player.visible = true;
             }
@@ -7284,11 +8118,11 @@ function updatePlayerCount() {
     document.getElementById('score').textContent = `Players: ${otherPlayers.size + 1}`;
 }
 
-function placeBlock(x, y, z, type) {
+function placeBlock(x, y, z, type, meta = null) {
     if (socket) {
-        socket.emit('placeBlock', { x, y, z, type });
+        socket.emit('placeBlock', { x, y, z, type, meta });
     }
-    addBlock(x, y, z, type);
+    addBlock(x, y, z, type, meta);
 }
 
 // Delete block locally and notify server
@@ -7330,19 +8164,389 @@ function findConnectedDoorBlocks(x, y, z, visited) {
     return result;
 }
 
-function addBlock(x, y, z, type) {
+function addBlock(x, y, z, type, meta = null) {
     const blockKey = `${x},${y},${z}`;
     if (!blocks.has(blockKey)) {
         const block = createBlock(x, y, z, type);
-        scene.add(block);
         blocks.set(blockKey, block);
+        indexBlock(block);
+        markBlockDirty(x, y, z);
         
-        // Initialize block state
-        if (type === 'door') {
-            block.userData.isOpen = false;
-        } else if (type === 'sign') {
-            block.userData.message = '';
+        // Initialize block state from the type defaults plus any synced metadata
+        block.userData.meta = {};
+        setBlockMeta(block, { ...(BLOCK_META_DEFAULTS[type] || {}), ...(meta || {}) });
+    }
+}
+
+// Land claims
+// Borders are drawn as tall outlines: green where we can build, red where we can't,
+// and yellow for the area being marked with /claim pos1 and pos2.
+let claims = []; // Claims in the current world, from the server
+let claimSelection = null; // { pos1, pos2 } corners marked so far
+let claimBordersVisible = false; // Toggled with /claim show
+let claimBorderGroup = null;
+const CLAIM_BORDER_HEIGHT = 12;
+
+function canBuildInClaim(claim) {
+    if (hasPermission('claim.override')) return true;
+    return Boolean(currentUsername) && (claim.owner === currentUsername || claim.trusted.includes(currentUsername));
+}
+
+function createClaimOutline(x1, z1, x2, z2, color) {
+    const width = x2 - x1 + 1;
+    const depth = z2 - z1 + 1;
+    const box = new THREE.BoxGeometry(width, CLAIM_BORDER_HEIGHT, depth);
+    const outline = new THREE.LineSegments(new THREE.EdgesGeometry(box), new THREE.LineBasicMaterial({ color }));
+    box.dispose();
+    // Blocks are centered on whole coordinates, so the claim edge is half a block out
+    outline.position.set((x1 + x2) / 2, CLAIM_BORDER_HEIGHT / 2 - 0.5, (z1 + z2) / 2);
+    outline.raycast = () => {}; // Don't get in the way of building
+    return outline;
+}
+
+function renderClaimBorders() {
+    if (!scene) return;
+    if (claimBorderGroup) {
+        scene.remove(claimBorderGroup);
+        claimBorderGroup.children.forEach(outline => {
+            outline.geometry.dispose();
+            outline.material.dispose();
+        });
+    }
+    claimBorderGroup = new THREE.Group();
+    
+    if (claimBordersVisible) {
+        claims.forEach(claim => {
+            const color = canBuildInClaim(claim) ? 0x00ff66 : 0xff3333;
+            claimBorderGroup.add(createClaimOutline(claim.x1, claim.z1, claim.x2, claim.z2, color));
+        });
+    }
+    
+    if (claimSelection && (claimSelection.pos1 || claimSelection.pos2)) {
+        const a = claimSelection.pos1 || claimSelection.pos2;
+        const b = claimSelection.pos2 || claimSelection.pos1;
+        claimBorderGroup.add(createClaimOutline(
+            Math.min(a.x, b.x), Math.min(a.z, b.z), Math.max(a.x, b.x), Math.max(a.z, b.z), 0xffff00));
+    }
+    
+    scene.add(claimBorderGroup);
+}
+
+// Region edit selection, marked with the wand or /pos1 and /pos2 (drawn as a cyan box)
+let editSelection = null; // { pos1, pos2 } from the server
+let editSelectionOutline = null;
+
+function renderEditSelection() {
+    if (!scene) return;
+    if (editSelectionOutline) {
+        scene.remove(editSelectionOutline);
+        editSelectionOutline.geometry.dispose();
+        editSelectionOutline.material.dispose();
+        editSelectionOutline = null;
+    }
+    if (!editSelection || !(editSelection.pos1 || editSelection.pos2)) return;
+    
+    const a = editSelection.pos1 || editSelection.pos2;
+    const b = editSelection.pos2 || editSelection.pos1;
+    const min = { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) };
+    const max = { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) };
+    // Slightly bigger than the blocks so the lines aren't hidden inside them
+    const box = new THREE.BoxGeometry(max.x - min.x + 1.02, max.y - min.y + 1.02, max.z - min.z + 1.02);
+    editSelectionOutline = new THREE.LineSegments(new THREE.EdgesGeometry(box), new THREE.LineBasicMaterial({ color: 0x00ffff }));
+    box.dispose();
+    // Blocks are centered on whole x/z coordinates and sit on top of whole y coordinates
+    editSelectionOutline.position.set((min.x + max.x) / 2, (min.y + max.y + 1) / 2, (min.z + max.z) / 2);
+    editSelectionOutline.raycast = () => {}; // Don't get in the way of building
+    scene.add(editSelectionOutline);
+}
+
+// Selection wand click: mark the clicked block (or the spot on the ground) as a corner
+function selectWandCorner(intersects, corner) {
+    if (!socket || intersects.length === 0) return;
+    const hit = intersects[0];
+    let position;
+    if (hit.object.userData.gridY !== undefined) {
+        position = { x: Math.round(hit.object.position.x), y: hit.object.userData.gridY, z: Math.round(hit.object.position.z) };
+    } else if (hit.object.userData.isGround) {
+        position = { x: Math.round(hit.point.x), y: 0, z: Math.round(hit.point.z) };
+    } else {
+        return;
+    }
+    swingArm(localPlayer);
+    socket.emit('selectCorner', { corner, ...position });
+}
+
+// Blueprints - builds downloaded with /export as JSON ({ format, version, name, size, blocks })
+// and imported by dropping the file on the game (MagicaVoxel .vox models are turned into
+// blueprints too). A ghost preview follows the mouse, R turns it, clicking sends it to the
+// server to place and Escape cancels.
+const BLUEPRINT_FORMAT = 'snaptic-blueprint';
+const BLUEPRINT_MAX_BLOCKS = 32768; // Same as the server's region edit limit
+let blueprintPlacement = null; // { blueprint, rotation, center, minY, anchor, ghost }
+
+function showSystemMessage(message) {
+    displayChatMessage({
+        id: 'system',
+        username: 'System',
+        message,
+        timestamp: new Date().toLocaleTimeString()
+    });
+}
+
+function downloadBlueprint(blueprint) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(blueprint, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${String(blueprint.name).replace(/[^a-zA-Z0-9_-]/g, '_')}.blueprint.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Check a parsed blueprint file; returns what is wrong with it, or null
+function validateBlueprint(data) {
+    if (!data || data.format !== BLUEPRINT_FORMAT) return 'That file is not a blueprint';
+    if (data.version !== 1) return `Unsupported blueprint version ${data.version}`;
+    if (!Array.isArray(data.blocks) || data.blocks.length === 0) return 'The blueprint has no blocks';
+    if (data.blocks.length > BLUEPRINT_MAX_BLOCKS) {
+        return `The blueprint is too big (${data.blocks.length} blocks, the limit is ${BLUEPRINT_MAX_BLOCKS})`;
+    }
+    const isValidBlock = block => block
+        && [block.x, block.y, block.z].every(Number.isInteger)
+        && Object.prototype.hasOwnProperty.call(BLOCK_TYPES, block.type)
+        && (block.meta === undefined || (typeof block.meta === 'object' && block.meta !== null));
+    return data.blocks.every(isValidBlock) ? null : 'The blueprint has an invalid block';
+}
+
+async function importBlueprintFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        showSystemMessage('That file is not a blueprint');
+        return;
+    }
+    const error = validateBlueprint(data);
+    if (error) {
+        showSystemMessage(error);
+        return;
+    }
+    startBlueprintPlacement(data);
+}
+
+// MagicaVoxel .vox import. Voxels become plain blocks of the nearest color (blocks
+// don't have their own colors). Only the first model in the file is used.
+const VOX_BLOCK_TYPES = ['grass', 'stone', 'wood', 'brick', 'dirt']; // Special blocks behave differently
+
+function findNearestBlockType(r, g, b) {
+    let nearest = VOX_BLOCK_TYPES[0];
+    let nearestDistance = Infinity;
+    VOX_BLOCK_TYPES.forEach((type) => {
+        const color = BLOCK_TYPES[type].color;
+        const distance = ((color >> 16 & 0xff) - r) ** 2 + ((color >> 8 & 0xff) - g) ** 2 + ((color & 0xff) - b) ** 2;
+        if (distance < nearestDistance) {
+            nearest = type;
+            nearestDistance = distance;
         }
+    });
+    return nearest;
+}
+
+// Read a .vox file into a blueprint. Throws if the file isn't a .vox model.
+function parseVoxFile(buffer, name) {
+    const view = new DataView(buffer);
+    const readId = (offset) => String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+    if (buffer.byteLength < 20 || readId(0) !== 'VOX ' || readId(8) !== 'MAIN') {
+        throw new Error('Not a MagicaVoxel file');
+    }
+    
+    // MAIN's children are a flat list of chunks: id, content size, children size, content
+    let voxels = null;
+    let palette = null;
+    let models = 0;
+    let offset = 20 + view.getInt32(12, true);
+    while (offset + 12 <= buffer.byteLength) {
+        const id = readId(offset);
+        const contentSize = view.getInt32(offset + 4, true);
+        const content = offset + 12;
+        if (id === 'XYZI') {
+            models++;
+            if (!voxels) {
+                const count = view.getInt32(content, true);
+                voxels = new Uint8Array(buffer, content + 4, count * 4);
+            }
+        } else if (id === 'RGBA') {
+            palette = new Uint8Array(buffer, content, 256 * 4);
+        }
+        offset = content + contentSize + view.getInt32(offset + 8, true);
+    }
+    if (!voxels) {
+        throw new Error('The file has no voxels');
+    }
+    
+    // Color index i is palette entry i - 1. Files without a palette use MagicaVoxel's
+    // default one, which we don't have, so they come in as stone.
+    const typeForColor = new Map();
+    const blockTypeFor = (colorIndex) => {
+        if (!palette) return 'stone';
+        if (!typeForColor.has(colorIndex)) {
+            const i = (colorIndex - 1) * 4;
+            typeForColor.set(colorIndex, findNearestBlockType(palette[i], palette[i + 1], palette[i + 2]));
+        }
+        return typeForColor.get(colorIndex);
+    };
+    
+    // MagicaVoxel's z axis points up, ours is y
+    const blueprintBlocks = [];
+    for (let i = 0; i < voxels.length; i += 4) {
+        blueprintBlocks.push({ x: voxels[i], y: voxels[i + 2], z: voxels[i + 1], type: blockTypeFor(voxels[i + 3]) });
+    }
+    return {
+        format: BLUEPRINT_FORMAT,
+        version: 1,
+        name: name.replace(/\.vox$/i, ''),
+        blocks: blueprintBlocks,
+        models
+    };
+}
+
+async function importVoxFile(file) {
+    let blueprint;
+    try {
+        blueprint = parseVoxFile(await file.arrayBuffer(), file.name);
+    } catch (error) {
+        showSystemMessage(`Could not read ${escapeHtml(file.name)}: ${error.message}`);
+        return;
+    }
+    const error = validateBlueprint(blueprint);
+    if (error) {
+        showSystemMessage(error);
+        return;
+    }
+    if (blueprint.models > 1) {
+        showSystemMessage(`${escapeHtml(file.name)} has ${blueprint.models} models, only the first one was imported`);
+    }
+    startBlueprintPlacement(blueprint);
+}
+
+// Where a blueprint block goes relative to the anchor, turned 90 degrees per rotation step
+function getBlueprintOffset(placement, block) {
+    let dx = block.x - placement.center.x;
+    let dz = block.z - placement.center.z;
+    for (let i = 0; i < placement.rotation; i++) {
+        [dx, dz] = [-dz, dx];
+    }
+    return { x: dx, y: block.y - placement.minY, z: dz };
+}
+
+function startBlueprintPlacement(blueprint) {
+    if (!scene || !localPlayer) return;
+    cancelBlueprintPlacement();
+    
+    const xs = blueprint.blocks.map(block => block.x);
+    const zs = blueprint.blocks.map(block => block.z);
+    const center = {
+        x: Math.floor((Math.min(...xs) + Math.max(...xs)) / 2),
+        z: Math.floor((Math.min(...zs) + Math.max(...zs)) / 2)
+    };
+    const minY = Math.min(...blueprint.blocks.map(block => block.y));
+    
+    // One translucent box per block, sharing a geometry and a material per block type
+    const ghost = new THREE.Group();
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    const materials = new Map();
+    blueprint.blocks.forEach(block => {
+        if (!materials.has(block.type)) {
+            materials.set(block.type, new THREE.MeshBasicMaterial({
+                color: BLOCK_TYPES[block.type].color,
+                transparent: true,
+                opacity: 0.4,
+                depthWrite: false
+            }));
+        }
+        const mesh = new THREE.Mesh(geometry, materials.get(block.type));
+        mesh.raycast = () => {}; // Aim through the ghost at the world behind it
+        ghost.add(mesh);
+    });
+    ghost.visible = false; // Until the mouse is over the world
+    scene.add(ghost);
+    
+    blueprintPlacement = { blueprint, rotation: 0, center, minY, anchor: null, ghost, geometry, materials };
+    layoutBlueprintGhost();
+    const name = blueprint.name ? ` "${escapeHtml(String(blueprint.name))}"` : '';
+    showSystemMessage(`Placing blueprint${name} (${blueprint.blocks.length} blocks). Move the mouse to position it, R to turn, click to place, Escape to cancel`);
+}
+
+function cancelBlueprintPlacement() {
+    if (!blueprintPlacement) return;
+    scene.remove(blueprintPlacement.ghost);
+    blueprintPlacement.geometry.dispose();
+    blueprintPlacement.materials.forEach(material => material.dispose());
+    blueprintPlacement = null;
+}
+
+// Position the ghost's boxes for the current rotation
+function layoutBlueprintGhost() {
+    const placement = blueprintPlacement;
+    placement.blueprint.blocks.forEach((block, index) => {
+        const offset = getBlueprintOffset(placement, block);
+        placement.ghost.children[index].position.set(offset.x, offset.y + 0.5, offset.z);
+    });
+}
+
+function rotateBlueprintPlacement() {
+    blueprintPlacement.rotation = (blueprintPlacement.rotation + 1) % 4;
+    layoutBlueprintGhost();
+}
+
+// Move the ghost to the spot under the mouse, the way a block would be placed there
+function moveBlueprintGhost(e) {
+    const rect = e.target.getBoundingClientRect();
+    const mouse = new THREE.Vector2(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(mouse, camera);
+    const ground = scene.children.find(c => c.userData.isGround);
+    const hit = [...intersectBlocks(raycaster), ...(ground ? raycaster.intersectObject(ground, false) : [])]
+        .sort((a, b) => a.distance - b.distance)[0];
+    if (!hit) return;
+    
+    // Step half a block out of the face we hit to get the empty cell in front of it
+    const normal = hit.object.userData.isGround ? new THREE.Vector3(0, 1, 0) : hit.face.normal.clone();
+    const point = hit.point.clone().add(normal.multiplyScalar(0.5));
+    blueprintPlacement.anchor = { x: Math.round(point.x), y: Math.floor(point.y), z: Math.round(point.z) };
+    blueprintPlacement.ghost.position.set(blueprintPlacement.anchor.x, blueprintPlacement.anchor.y, blueprintPlacement.anchor.z);
+    blueprintPlacement.ghost.visible = true;
+}
+
+// Place the blueprint where the ghost is. The server checks permissions and claims,
+// fills in the empty spots and sends everyone one blocksChanged batch.
+function placeBlueprint() {
+    const placement = blueprintPlacement;
+    if (!placement.anchor || !socket) return;
+    const placedBlocks = placement.blueprint.blocks.map((block) => {
+        const offset = getBlueprintOffset(placement, block);
+        return {
+            x: placement.anchor.x + offset.x,
+            y: placement.anchor.y + offset.y,
+            z: placement.anchor.z + offset.z,
+            type: block.type,
+            meta: block.meta
+        };
+    });
+    socket.emit('placeBlocks', { blocks: placedBlocks });
+    swingArm(localPlayer);
+    cancelBlueprintPlacement();
+}
+
+// Merge metadata into a block and update how it looks
+function setBlockMeta(block, changes) {
+    Object.assign(block.userData.meta, changes);
+    
+    if (block.userData.type === 'door') {
+        // Open doors are semi-transparent and have no collision (drawn with the open-door material)
+        markBlockDirty(Math.round(block.position.x), block.userData.gridY, Math.round(block.position.z));
     }
 }
 
@@ -7350,11 +8554,218 @@ function removeBlock(x, y, z) {
     const blockKey = `${x},${y},${z}`;
     const block = blocks.get(blockKey);
     if (block) {
-        scene.remove(block);
         blocks.delete(blockKey);
+        unindexBlock(block);
+        markBlockDirty(x, y, z);
     }
 }
 
+// World streaming - the server only sends the chunks around us, and only tells us about
+// block changes and players inside them (see chunksChanged)
+let worldChunkSize = 16; // From gameState
+const loadedChunks = new Set(); // "chunkX,chunkZ" of the chunks we have
+
+function isChunkLoaded(x, z) {
+    return loadedChunks.has(`${Math.floor(Math.round(x) / worldChunkSize)},${Math.floor(Math.round(z) / worldChunkSize)}`);
+}
+
+// Drop the blocks of a chunk that went out of view
+function unloadChunk(chunkKey) {
+    const [chunkX, chunkZ] = chunkKey.split(',').map(Number);
+    const minX = chunkX * worldChunkSize;
+    const minZ = chunkZ * worldChunkSize;
+    queryBlocks(minX, minX + worldChunkSize - 1, minZ, minZ + worldChunkSize - 1).forEach(block => {
+        removeBlock(Math.round(block.position.x), block.userData.gridY, Math.round(block.position.z));
+    });
+    loadedChunks.delete(chunkKey);
+}
+
+// Hide other players outside our loaded chunks - we stop hearing about them there
+function updatePlayerInView(player) {
+    const inView = isChunkLoaded(player.position.x, player.position.z);
+    if (!inView) {
+        player.userData.outOfView = true;
+        player.visible = false;
+    } else if (inView && player.userData.outOfView) {
+        player.userData.outOfView = false;
+        player.visible = !player.userData.inCar && !(player.userData.health <= 0);
+    }
+}
+
+// Snapshot interpolation - the server sends other players' and cars' state in snapshots
+// at a fixed rate. We draw them INTERPOLATION_DELAY in the past, between the two snapshots
+// around that time, so they move smoothly. When snapshots stop coming they keep moving
+// the same way for up to EXTRAPOLATION_LIMIT, then stay put.
+const INTERPOLATION_DELAY = 100; // ms - two snapshots at 20 a second
+const EXTRAPOLATION_LIMIT = 250; // ms
+const SNAPSHOT_BUFFER_TIME = 1000; // ms of snapshots kept for each player and car
+let serverTimeOffset = null; // Server clock minus ours, smoothed over snapshots
+
+function pushSnapshot(object, time, state) {
+    if (!object.userData.snapshots) {
+        object.userData.snapshots = [];
+    }
+    const buffer = object.userData.snapshots;
+    if (buffer.length > 0 && time <= buffer[buffer.length - 1].time) return; // Out of order
+    buffer.push({ time, ...state });
+    while (buffer.length > 2 && buffer[0].time < time - SNAPSHOT_BUFFER_TIME) {
+        buffer.shift();
+    }
+}
+
+// Blend two angles the short way around
+function lerpAngle(from, to, t) {
+    const difference = Math.atan2(Math.sin(to - from), Math.cos(to - from));
+    return from + difference * t;
+}
+
+function lerpSnapshot(from, to, t) {
+    return {
+        position: new THREE.Vector3(
+            THREE.MathUtils.lerp(from.position.x, to.position.x, t),
+            THREE.MathUtils.lerp(from.position.y, to.position.y, t),
+            THREE.MathUtils.lerp(from.position.z, to.position.z, t)
+        ),
+        rotation: {
+            x: lerpAngle(from.rotation.x || 0, to.rotation.x || 0, t),
+            y: lerpAngle(from.rotation.y || 0, to.rotation.y || 0, t),
+            z: lerpAngle(from.rotation.z || 0, to.rotation.z || 0, t)
+        },
+        isSprinting: to.isSprinting
+    };
+}
+
+// The state at renderTime from a snapshot buffer, or null if there are no snapshots
+function sampleSnapshots(buffer, renderTime) {
+    if (!buffer || buffer.length === 0) return null;
+    if (buffer.length === 1 || renderTime <= buffer[0].time) {
+        return lerpSnapshot(buffer[0], buffer[0], 0);
+    }
+    for (let i = buffer.length - 1; i > 0; i--) {
+        const from = buffer[i - 1];
+        const to = buffer[i];
+        if (renderTime >= from.time && renderTime <= to.time) {
+            return lerpSnapshot(from, to, (renderTime - from.time) / (to.time - from.time));
+        }
+    }
+    
+    // Past the newest snapshot - carry on the way the last two were going
+    const previous = buffer[buffer.length - 2];
+    const last = buffer[buffer.length - 1];
+    const ahead = Math.min(renderTime - last.time, EXTRAPOLATION_LIMIT);
+    return lerpSnapshot(previous, last, 1 + ahead / (last.time - previous.time));
+}
+
+// The server time other players are drawn at (what we see is this far behind)
+function getViewTime() {
+    return Date.now() + (serverTimeOffset || 0) - INTERPOLATION_DELAY;
+}
+
+// Projectiles - the server simulates them (see updateProjectiles in server.js) and sends
+// each launch; we draw them on the same arc, at the same time behind the server as other
+// players (getViewTime), and remove them once they reach where the server said they stopped.
+const PROJECTILE_LAUNCH_HEIGHT = 1.1; // Launched from the shoulder, like on the server
+const PROJECTILE_MAX_FLIGHT = 10000; // ms - drop projectiles the server never ended
+let projectiles = new Map(); // id -> { mesh, position, velocity, gravity, time, flightTime }
+
+function updateProjectiles() {
+    const viewTime = getViewTime();
+    projectiles.forEach((projectile, id) => {
+        const elapsed = Math.max(0, viewTime - projectile.time);
+        if (elapsed >= (projectile.flightTime !== null ? projectile.flightTime : PROJECTILE_MAX_FLIGHT)) {
+            removeProjectileMesh(id);
+            return;
+        }
+        const t = elapsed / 1000;
+        const { position, velocity, gravity } = projectile;
+        projectile.mesh.position.set(
+            position.x + velocity.x * t,
+            position.y + velocity.y * t - 0.5 * gravity * t * t,
+            position.z + velocity.z * t
+        );
+        // Point along the direction of travel
+        projectile.mesh.lookAt(
+            projectile.mesh.position.x + velocity.x,
+            projectile.mesh.position.y + velocity.y - gravity * t,
+            projectile.mesh.position.z + velocity.z
+        );
+    });
+}
+
+function removeProjectileMesh(id) {
+    const projectile = projectiles.get(id);
+    if (!projectile) return;
+    scene.remove(projectile.mesh);
+    projectile.mesh.traverse((child) => {
+        if (child instanceof THREE.Mesh) {
+            child.geometry.dispose();
+            child.material.dispose();
+        }
+    });
+    projectiles.delete(id);
+}
+
+// Where the last click aimed: the nearest player, block or ground under the cursor,
+// or far along the ray if there was nothing
+function getAimPoint() {
+    if (!lastAimRay) {
+        const forward = new THREE.Vector3(Math.sin(localPlayer.rotation.y), 0, Math.cos(localPlayer.rotation.y));
+        return localPlayer.position.clone().add(new THREE.Vector3(0, PROJECTILE_LAUNCH_HEIGHT, 0)).addScaledVector(forward, 100);
+    }
+    const raycaster = new THREE.Raycaster(lastAimRay.origin, lastAimRay.direction);
+    const playerHits = raycaster.intersectObjects(Array.from(otherPlayers.values()), true);
+    const candidates = [];
+    if (playerHits.length > 0) candidates.push(playerHits[0].point);
+    if (lastClickPosition) candidates.push(lastClickPosition);
+    if (candidates.length === 0) return lastAimRay.at(100, new THREE.Vector3());
+    candidates.sort((a, b) => a.distanceTo(lastAimRay.origin) - b.distanceTo(lastAimRay.origin));
+    return candidates[0].clone();
+}
+
+// Whether we send this car's state to the server - only the driver does (the server ignores
+// everyone else). Everyone else draws it from snapshots (which are behind, so never sent back).
+function isCarSyncedByUs(car) {
+    return currentCar === car && carSeatIndex === 0;
+}
+
+// Move other players and cars to where the snapshots put them (once per frame)
+function updateInterpolatedObjects() {
+    if (serverTimeOffset === null) return;
+    const renderTime = getViewTime();
+    
+    otherPlayers.forEach(player => {
+        if (player.userData.inCar) return; // Seated players follow their car
+        const state = sampleSnapshots(player.userData.snapshots, renderTime);
+        if (!state) return;
+        
+        // Store last position for cape physics (before updating position)
+        const oldPos = player.position.clone();
+        player.userData.lastPosition = oldPos;
+        player.position.copy(state.position);
+        player.rotation.y = state.rotation.y;
+        updatePlayerInView(player);
+        
+        // Check if player is moving
+        const wasMoving = player.userData.isMoving;
+        player.userData.isMoving = oldPos.distanceTo(player.position) > 0.01;
+        // Sync sprint state for animation
+        player.userData.isSprinting = state.isSprinting || false;
+        
+        // Stop non-looping emotes when player starts moving
+        if (player.userData.isMoving && !wasMoving && player.userData.currentEmote && player.userData.currentEmote !== 'gangnam') {
+            stopEmote(player);
+        }
+    });
+    
+    cars.forEach(car => {
+        if (isCarSyncedByUs(car)) return;
+        const state = sampleSnapshots(car.userData.snapshots, renderTime);
+        if (!state) return;
+        car.position.copy(state.position);
+        car.rotation.set(state.rotation.x, state.rotation.y, state.rotation.z);
+    });
+}
+
 // Update player movement
 function updatePlayerMovement(delta) {
     if (!localPlayer) return;
@@ -7381,9 +8792,9 @@ function updatePlayerMovement(delta) {
 
     // Skip movement controls if ragdoll is active or dead, but still apply physics and collision
     if (!isRagdoll && playerHealth > 0) {
-        // Base speed increased by 30% (100 * 1.3 = 130)
-        const baseSpeed = 130;
-        // Sprint doubles speed (130 * 2.0 = 260)
+        // Walking speed in blocks per second (the same at any frame rate)
+        const baseSpeed = 2.2;
+        // Sprint doubles speed
         const speed = moveState.sprint ? baseSpeed * 2.0 : baseSpeed;
         const direction = new THREE.Vector3();
 
@@ -7401,8 +8812,8 @@ function updatePlayerMovement(delta) {
         intendedDirection = direction.clone();
 
         // Apply movement
-        velocity.x = direction.x * speed * delta;
-        velocity.z = direction.z * speed * delta;
+        velocity.x = direction.x * speed;
+        velocity.z = direction.z * speed;
     } else if (playerHealth <= 0) {
         // Ensure velocity is zero when dead (in case we got here somehow)
         velocity.x = 0;
@@ -7424,7 +8835,12 @@ function updatePlayerMovement(delta) {
     const playerFeetY = localPlayer.position.y - 0.3; // Feet position
     const playerHeadY = localPlayer.position.y + 1.35; // Head position
     
-    for (const [key, block] of blocks.entries()) {
+    // Ladders within a block of the player (see the expanded detection area below)
+    const nearbyLadders = queryBlocksInBox(
+        new THREE.Vector3(localPlayer.position.x - ladderCheckRadius - 1, playerFeetY, localPlayer.position.z - ladderCheckRadius - 1),
+        new THREE.Vector3(localPlayer.position.x + ladderCheckRadius + 1, playerHeadY, localPlayer.position.z + ladderCheckRadius + 1)
+    );
+    for (const block of nearbyLadders) {
         if (block.userData.type === 'ladder') {
             const blockPos = block.position;
             const gridY = block.userData.gridY !== undefined ? block.userData.gridY : Math.round(blockPos.y - 0.5);
@@ -7467,9 +8883,9 @@ function updatePlayerMovement(delta) {
     } else if (isFlying && !isRagdoll && playerHealth > 0) {
         // Fly mode: allow vertical movement with Space (up) and X (down)
         if (moveState.jump) {
-            velocity.y = 150 * delta; // Fly up
+            velocity.y = 2.5; // Fly up (blocks per second)
         } else if (moveState.flyDown) {
-            velocity.y = -150 * delta; // Fly down
+            velocity.y = -2.5; // Fly down
         } else {
             velocity.y = 0; // Hover
         }
@@ -7502,14 +8918,19 @@ function updatePlayerMovement(delta) {
     const playerBottom = localPlayer.position.y - 0.3; // Bottom of player (feet)
     const playerTop = localPlayer.position.y + 1.35; // Top of player (head at 1.35)
     
-    // Check collisions with blocks
+    // Check collisions with blocks around the player (with a block of margin, pushes move the player)
     let onGround = false;
+    const nearbyBlocks = queryBlocksInBox(
+        new THREE.Vector3(localPlayer.position.x - playerRadius - 1, playerBottom - 1, localPlayer.position.z - playerRadius - 1),
+        new THREE.Vector3(localPlayer.position.x + playerRadius + 1, playerTop + 1, localPlayer.position.z + playerRadius + 1)
+    );
     // Note: onLadder is already checked before gravity application
-    for (const [key, block] of blocks.entries()) {
+    for (const block of nearbyBlocks) {
         const blockType = block.userData.type;
         const blockPos = block.position;
         // Block center is at y + 0.5 (since we add 0.5 in createBlock), so it extends from y to y + 1
         const gridY = block.userData.gridY !== undefined ? block.userData.gridY : Math.round(blockPos.y - 0.5);
+        const key = `${Math.round(blockPos.x)},${gridY},${Math.round(blockPos.z)}`; // For the kill/damage cooldowns
         const blockMin = new THREE.Vector3(blockPos.x - 0.5, gridY, blockPos.z - 0.5);
         const blockMax = new THREE.Vector3(blockPos.x + 0.5, gridY + 1, blockPos.z + 0.5);
         
@@ -7539,8 +8960,7 @@ function updatePlayerMovement(delta) {
                         if (socket) {
                             socket.emit('playerDamage', {
                                 targetId: socket.id,
-                                damage: 1000,
-                                allowSelf: true
+                                cause: 'kill'
                             });
                         }
                     }
@@ -7548,7 +8968,7 @@ function updatePlayerMovement(delta) {
                 // Don't skip collision - kill blocks should have collisions
             }
             
-            // Damage block - deal 25 damage with cooldown
+            // Damage block - the server deals 25 damage, with cooldown
             if (blockType === 'damage') {
                 // Only trigger if player is alive
                 if (playerHealth > 0) {
@@ -7559,8 +8979,7 @@ function updatePlayerMovement(delta) {
                         if (socket) {
                             socket.emit('playerDamage', {
                                 targetId: socket.id,
-                                damage: 25,
-                                allowSelf: true
+                                cause: 'damage'
                             });
                         }
                     }
@@ -7569,7 +8988,7 @@ function updatePlayerMovement(delta) {
             }
             
             // Door - skip collision if open
-            if (blockType === 'door' && block.userData.isOpen) {
+            if (blockType === 'door' && block.userData.meta.isOpen) {
                 continue; // Skip collision for open doors
             }
             
@@ -7958,11 +9377,8 @@ function updateCamera() {
         if (distance > 0.0001) {
             rayDirection.normalize();
 
-            // Build list of collision objects: all blocks + ground (objects with userData.isGround)
+            // Build list of collision objects: ground (objects with userData.isGround), blocks are checked separately
             const collisionObjects = [];
-            blocks.forEach(block => {
-                collisionObjects.push(block);
-            });
             scene.children.forEach(obj => {
                 if (obj.userData && obj.userData.isGround) {
                     collisionObjects.push(obj);
@@ -7971,7 +9387,8 @@ function updateCamera() {
 
             cameraRaycaster.set(rayOrigin, rayDirection);
             cameraRaycaster.far = distance;
-            const hits = cameraRaycaster.intersectObjects(collisionObjects, false);
+            const hits = [...intersectBlocks(cameraRaycaster), ...cameraRaycaster.intersectObjects(collisionObjects, false)]
+                .sort((a, b) => a.distance - b.distance);
 
             let targetPos;
             if (hits.length > 0) {
@@ -8013,7 +9430,11 @@ function checkNearbyInteractiveBlocks() {
     let closestDistance = Infinity;
     
     // Check blocks (doors, signs)
-    for (const [key, block] of blocks.entries()) {
+    const nearbyBlocks = queryBlocksInBox(
+        new THREE.Vector3(playerPos.x - checkDistance, playerPos.y - checkDistance, playerPos.z - checkDistance),
+        new THREE.Vector3(playerPos.x + checkDistance, playerPos.y + checkDistance, playerPos.z + checkDistance)
+    );
+    for (const block of nearbyBlocks) {
         const blockType = block.userData.type;
         if (blockType !== 'door' && blockType !== 'sign') continue;
         
@@ -8022,6 +9443,7 @@ function checkNearbyInteractiveBlocks() {
         
         if (distance <= checkDistance && distance < closestDistance) {
             closestDistance = distance;
+            const key = `${Math.round(blockPos.x)},${block.userData.gridY},${Math.round(blockPos.z)}`;
             closestBlock = { block, key, type: 'block' };
         }
     }
@@ -8193,12 +9615,12 @@ function openSignInput(block) {
         submitBtn.addEventListener('click', () => {
             const message = input.value.trim();
             if (message) {
-                block.userData.message = message;
+                setBlockMeta(block, { message });
                 // Sync to server
                 if (socket) {
                     const blockKey = `${Math.round(block.position.x)},${block.userData.gridY},${Math.round(block.position.z)}`;
                     const [x, y, z] = blockKey.split(',').map(Number);
-                    socket.emit('blockUpdate', { x, y, z, type: 'sign', message: message });
+                    socket.emit('blockUpdate', { x, y, z, meta: { message } });
                 }
             }
             closeSignInput();
@@ -8231,7 +9653,7 @@ function openSignInput(block) {
     
     const input = document.getElementById('sign-input');
     if (input) {
-        input.value = block.userData.message || '';
+        input.value = block.userData.meta.message || '';
         input.focus();
         input.select();
     }
@@ -8258,10 +9680,14 @@ function updateSignBubbles() {
     const oldBubbles = document.querySelectorAll('.sign-bubble');
     oldBubbles.forEach(bubble => bubble.remove());
     
-    // Check all signs
-    for (const [key, block] of blocks.entries()) {
+    // Check signs near the player
+    const nearbyBlocks = queryBlocksInBox(
+        new THREE.Vector3(playerPos.x - checkDistance, playerPos.y - checkDistance, playerPos.z - checkDistance),
+        new THREE.Vector3(playerPos.x + checkDistance, playerPos.y + checkDistance, playerPos.z + checkDistance)
+    );
+    for (const block of nearbyBlocks) {
         if (block.userData.type !== 'sign') continue;
-        if (!block.userData.message) continue;
+        if (!block.userData.meta.message) continue;
         
         const blockPos = block.position;
         const distance = playerPos.distanceTo(blockPos);
@@ -8270,7 +9696,7 @@ function updateSignBubbles() {
             // Show speech bubble above sign
             const bubble = document.createElement('div');
             bubble.className = 'sign-bubble';
-            bubble.textContent = block.userData.message;
+            bubble.textContent = block.userData.meta.message;
             bubble.style.cssText = `
                 position: fixed;
                 background: rgba(255, 255, 255, 0.95);
@@ -8304,6 +9730,15 @@ function updateSignBubbles() {
 // Spawn a car at the specified position (or in front of player if not provided)
 function spawnCar(spawnPosition = null) {
     if (!localPlayer) return;
+    if (!hasPermission('car.spawn')) {
+        displayChatMessage({
+            id: 'system',
+            username: 'System',
+            message: 'You do not have permission to spawn cars',
+            timestamp: new Date().toLocaleTimeString()
+        });
+        return;
+    }
     
     // Use provided position or calculate spawn position in front of player
     let spawnPos;
@@ -8560,7 +9995,7 @@ function updateCar(car, delta) {
                         const blockGridZ = Math.round(checkZ) + offsetZ;
                         
                         // Check all blocks at this grid position
-                        blocks.forEach((block) => {
+                        queryBlocks(blockGridX, blockGridX, blockGridZ, blockGridZ).forEach((block) => {
                             if (wallDetected) return; // Skip if already detected
                             
                             const blockPos = block.position;
@@ -8580,7 +10015,7 @@ function updateCar(car, delta) {
                                     let maxWallY = -Infinity;
                                     const wallBlocksAtPos = []; // Blocks at this X,Z position
                                     
-                                    blocks.forEach(checkBlock => {
+                                    queryBlocks(blockGridX, blockGridX, blockGridZ, blockGridZ).forEach(checkBlock => {
                                         const checkBlockPos = checkBlock.position;
                                         const checkBlockGridX = Math.round(checkBlockPos.x);
                                         const checkBlockGridZ = Math.round(checkBlockPos.z);
@@ -8700,7 +10135,6 @@ function updateCar(car, delta) {
         // Find the highest valid surface (ground or block top) at this X,Z position
         // Check blocks relative to wheel position, not car position, to detect elevated blocks
         let highestSurface = groundY;
-        const blocksToCheck = Array.from(blocks.values());
         
         // Use vertical range relative to wheel's current/expected position
         // Check from well below to slightly above the wheel to catch elevated blocks
@@ -8724,7 +10158,7 @@ function updateCar(car, delta) {
                 
                 // For each grid position, check all blocks at that X,Z (no horizontal distance restriction)
                 // If a block is in the grid cell, we should consider it - this ensures platform blocks are always found
-                blocksToCheck.forEach(block => {
+                queryBlocks(checkGridX, checkGridX, checkGridZ, checkGridZ).forEach(block => {
                     const blockPos = block.position;
                     const blockGridX = Math.round(blockPos.x);
                     const blockGridZ = Math.round(blockPos.z);
@@ -8750,7 +10184,7 @@ function updateCar(car, delta) {
                             let minWallY = Infinity;
                             let maxWallY = -Infinity;
                             
-                            blocksToCheck.forEach(checkBlock => {
+                            queryBlocks(blockGridX, blockGridX, blockGridZ, blockGridZ).forEach(checkBlock => {
                                 const checkBlockPos = checkBlock.position;
                                 const checkBlockGridX = Math.round(checkBlockPos.x);
                                 const checkBlockGridZ = Math.round(checkBlockPos.z);
@@ -9296,8 +10730,8 @@ function updateCar(car, delta) {
         }
     }
     
-    // Sync car position to server (if player is driving or owns the car)
-    if (socket && car.userData.carId && (currentCar === car || car.userData.ownerId === socket.id)) {
+    // Sync car position to server (if player is driving, or owns the car and nobody is driving it)
+    if (socket && car.userData.carId && isCarSyncedByUs(car)) {
         const now = performance.now();
         if (!car.userData.lastSyncTime || (now - car.userData.lastSyncTime) > 0.05) {
             socket.emit('carUpdate', {
@@ -9397,11 +10831,23 @@ function animate() {
     // Cap delta to prevent huge jumps when tab becomes active (max 0.1 seconds)
     // This fixes the issue where inactive tabs cause noclip and position desync
     delta = Math.min(delta, 0.1);
+    
+    // Redraw blocks once for all the block changes since the last frame
+    if (blockMeshesDirty) {
+        updateBlockMeshes();
+    }
+    if (blockQueryDebug) {
+        renderBlockQueryDebug();
+    }
 
     // Update cars
     cars.forEach((car) => {
         updateCar(car, delta);
     });
+    
+    // Other players and cars follow the server's snapshots
+    updateInterpolatedObjects();
+    updateProjectiles();
 
     // Update player movement (only if not in car)
     if (!currentCar) {
@@ -9498,7 +10944,7 @@ function animate() {
         } else if (player.userData.inCar === null || player.userData.inCar === undefined) {
             // Make sure player is visible when not in car (unless ragdoll or dead)
             const isDead = player.userData.health !== undefined && player.userData.health <= 0;
-            if (!player.visible && !player.userData.ragdoll && !isDead) {
+            if (!player.visible && !player.userData.ragdoll && !isDead && !player.userData.outOfView) {
                 player.visible = true;
             }
         }
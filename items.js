@@ -0,0 +1,392 @@
+// Item definitions, shared by the server (/give, melee hits, event checks) and the client
+// (inventory, useItem, the model held in hand). Adding an item is one entry here.
+//
+//   name, icon  - shown in the inventory
+//   label       - short line under the name in the inventory
+//   use         - what using it does: 'melee' (hit the player in front), 'ranged' (fire a
+//                 projectile), 'heal', 'spawnCar' or 'select' (the selection wand, handled
+//                 by mouse clicks)
+//   cooldown    - ms before any item can be used again
+//   stack       - most of the item one inventory slot holds (default 1)
+//   consumable  - used up when used (one per use)
+//   damage      - melee and ranged: health taken from the player hit
+//   range, launch - melee only; launch ragdolls the target instead of damaging it
+//   projectile  - ranged only: speed (units/s), gravity (units/s²), lifetime (ms) and
+//                 model(THREE), built pointing along +z
+//   heal, animation - heal only; animation is 'eat' or 'drink'
+//   give        - false keeps the item out of /give
+//   model(THREE) - builds the model held in hand, origin at the grip (none = empty hand).
+//                  THREE is passed in because the server never builds models.
+export const ITEMS = {
+    sword: {
+        name: 'Sword',
+        icon: '⚔️',
+        label: '25 Damage',
+        use: 'melee',
+        cooldown: 1000,
+        damage: 25,
+        range: 1.5,
+        model: (THREE) => {
+            const swordGroup = new THREE.Group();
+            
+            const bladeMaterial = new THREE.MeshStandardMaterial({
+                color: 0xe8e8e8,
+                metalness: 0.95,
+                roughness: 0.05,
+                envMapIntensity: 1.5
+            });
+            
+            const hiltMaterial = new THREE.MeshStandardMaterial({
+                color: 0x654321,
+                metalness: 0.2,
+                roughness: 0.8
+            });
+            
+            const guardMaterial = new THREE.MeshStandardMaterial({
+                color: 0x888888,
+                metalness: 0.8,
+                roughness: 0.2
+            });
+            
+            // Sword dimensions - made larger and more visible
+            const bladeLength = 0.8;
+            const bladeWidth = 0.08;
+            const bladeThickness = 0.03;
+            const hiltLength = 0.2;
+            const hiltRadius = 0.06;
+            
+            // Blade extends forward (+z) from the grip, hilt extends backward (-z)
+            const bladeGeometry = new THREE.BoxGeometry(bladeThickness, bladeWidth, bladeLength);
+            const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
+            blade.position.z = bladeLength / 2; // Center of blade is forward
+            blade.castShadow = true;
+            swordGroup.add(blade);
+            
+            // Cross guard (horizontal) - at the base of the blade
+            const guardGeometry = new THREE.BoxGeometry(0.3, 0.05, 0.05);
+            const guard = new THREE.Mesh(guardGeometry, guardMaterial);
+            guard.position.z = 0; // At the grip position
+            guard.castShadow = true;
+            swordGroup.add(guard);
+            
+            // Hilt/grip - extends backward from grip
+            const hiltGeometry = new THREE.CylinderGeometry(hiltRadius, hiltRadius, hiltLength, 8);
+            const hilt = new THREE.Mesh(hiltGeometry, hiltMaterial);
+            hilt.rotation.x = Math.PI / 2; // Rotate to extend along z-axis
+            hilt.position.z = -hiltLength / 2; // Center of hilt is backward
+            hilt.castShadow = true;
+            swordGroup.add(hilt);
+            
+            // Pommel (end of hilt) - at the back
+            const pommelGeometry = new THREE.SphereGeometry(0.08, 8, 8);
+            const pommel = new THREE.Mesh(pommelGeometry, guardMaterial);
+            pommel.position.z = -hiltLength; // At the end of hilt
+            pommel.castShadow = true;
+            swordGroup.add(pommel);
+            
+            // Rotate so blade points forward
+            swordGroup.rotation.y = -Math.PI;
+            return swordGroup;
+        }
+    },
+    bow: {
+        name: 'Bow',
+        icon: '🏹',
+        label: '20 Damage',
+        use: 'ranged',
+        cooldown: 800,
+        damage: 20,
+        projectile: {
+            speed: 30,
+            gravity: 15,
+            lifetime: 4000,
+            model: (THREE) => {
+                const arrowGroup = new THREE.Group();
+                
+                const shaftLength = 0.6;
+                const shaftGeometry = new THREE.CylinderGeometry(0.015, 0.015, shaftLength, 6);
+                const shaft = new THREE.Mesh(shaftGeometry, new THREE.MeshStandardMaterial({ color: 0x8b5a2b, roughness: 0.8 }));
+                shaft.rotation.x = Math.PI / 2; // Rotate to extend along z-axis
+                arrowGroup.add(shaft);
+                
+                // Arrowhead at the front
+                const headGeometry = new THREE.ConeGeometry(0.04, 0.1, 6);
+                const head = new THREE.Mesh(headGeometry, new THREE.MeshStandardMaterial({ color: 0x999999, metalness: 0.8, roughness: 0.3 }));
+                head.rotation.x = Math.PI / 2;
+                head.position.z = shaftLength / 2 + 0.05;
+                arrowGroup.add(head);
+                
+                // Fletching at the back
+                const fletchingGeometry = new THREE.BoxGeometry(0.08, 0.005, 0.12);
+                const fletchingMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff });
+                [0, Math.PI / 2].forEach(angle => {
+                    const fletching = new THREE.Mesh(fletchingGeometry, fletchingMaterial);
+                    fletching.rotation.z = angle;
+                    fletching.position.z = -shaftLength / 2 + 0.06;
+                    arrowGroup.add(fletching);
+                });
+                return arrowGroup;
+            }
+        },
+        model: (THREE) => {
+            // A curved limb with a string, held in the middle
+            const bowGroup = new THREE.Group();
+            
+            const limbRadius = 0.35;
+            const limbArc = Math.PI * 0.8;
+            const limbGeometry = new THREE.TorusGeometry(limbRadius, 0.02, 6, 16, limbArc);
+            const limb = new THREE.Mesh(limbGeometry, new THREE.MeshStandardMaterial({ color: 0x6b4226, roughness: 0.8 }));
+            limb.rotation.z = -limbArc / 2; // Middle of the arc on the x-axis...
+            limb.rotation.y = -Math.PI / 2; // ...then turned to bow forward (+z)
+            limb.position.z = -limbRadius; // Middle of the arc at the grip
+            bowGroup.add(limb);
+            
+            // String between the tips of the limb
+            const stringGeometry = new THREE.CylinderGeometry(0.004, 0.004, 2 * limbRadius * Math.sin(limbArc / 2), 4);
+            const string = new THREE.Mesh(stringGeometry, new THREE.MeshStandardMaterial({ color: 0xeeeeee }));
+            string.position.z = -limbRadius + limbRadius * Math.cos(limbArc / 2);
+            bowGroup.add(string);
+            
+            // Rotate so the bow faces forward (same as sword)
+            bowGroup.rotation.y = -Math.PI;
+            return bowGroup;
+        }
+    },
+    blaster: {
+        name: 'Blaster',
+        icon: '🔫',
+        label: '10 Damage',
+        use: 'ranged',
+        cooldown: 300,
+        damage: 10,
+        projectile: {
+            speed: 60,
+            gravity: 0, // Energy bolts fly straight
+            lifetime: 1500,
+            model: (THREE) => {
+                const boltGeometry = new THREE.CapsuleGeometry(0.04, 0.3, 4, 8);
+                const bolt = new THREE.Mesh(boltGeometry, new THREE.MeshStandardMaterial({
+                    color: 0xff3355,
+                    emissive: 0xff3355,
+                    emissiveIntensity: 1.0
+                }));
+                bolt.rotation.x = Math.PI / 2; // Rotate to extend along z-axis
+                const boltGroup = new THREE.Group();
+                boltGroup.add(bolt);
+                return boltGroup;
+            }
+        },
+        model: (THREE) => {
+            const blasterGroup = new THREE.Group();
+            
+            const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0x333344, metalness: 0.7, roughness: 0.3 });
+            
+            // Barrel - extends forward from the grip
+            const barrelGeometry = new THREE.BoxGeometry(0.07, 0.08, 0.35);
+            const barrel = new THREE.Mesh(barrelGeometry, bodyMaterial);
+            barrel.position.set(0, 0.06, 0.12);
+            barrel.castShadow = true;
+            blasterGroup.add(barrel);
+            
+            // Handle - the hand holds it at the origin
+            const handleGeometry = new THREE.BoxGeometry(0.05, 0.14, 0.06);
+            const handle = new THREE.Mesh(handleGeometry, bodyMaterial);
+            handle.rotation.x = -0.3;
+            blasterGroup.add(handle);
+            
+            // Glowing muzzle
+            const muzzleGeometry = new THREE.CylinderGeometry(0.025, 0.025, 0.03, 8);
+            const muzzle = new THREE.Mesh(muzzleGeometry, new THREE.MeshStandardMaterial({
+                color: 0xff3355,
+                emissive: 0xff3355,
+                emissiveIntensity: 0.8
+            }));
+            muzzle.rotation.x = Math.PI / 2;
+            muzzle.position.set(0, 0.06, 0.3);
+            blasterGroup.add(muzzle);
+            
+            // Rotate so the barrel points forward (same as sword)
+            blasterGroup.rotation.y = -Math.PI;
+            return blasterGroup;
+        }
+    },
+    cheeseburger: {
+        name: 'Cheeseburger',
+        icon: '🍔',
+        label: 'Heal',
+        use: 'heal',
+        cooldown: 1000,
+        stack: 16,
+        consumable: true,
+        heal: 25,
+        animation: 'eat',
+        model: (THREE) => {
+            const burgerGroup = new THREE.Group();
+            
+            // Bottom bun
+            const bottomBunGeometry = new THREE.CylinderGeometry(0.12, 0.12, 0.03, 16);
+            const bunMaterial = new THREE.MeshStandardMaterial({ color: 0xf4a460 });
+            const bottomBun = new THREE.Mesh(bottomBunGeometry, bunMaterial);
+            bottomBun.rotation.x = Math.PI / 2;
+            bottomBun.position.z = -0.05;
+            burgerGroup.add(bottomBun);
+            
+            // Meat patty
+            const pattyGeometry = new THREE.CylinderGeometry(0.11, 0.11, 0.04, 16);
+            const pattyMaterial = new THREE.MeshStandardMaterial({ color: 0x8b4513 });
+            const patty = new THREE.Mesh(pattyGeometry, pattyMaterial);
+            patty.rotation.x = Math.PI / 2;
+            patty.position.z = -0.02;
+            burgerGroup.add(patty);
+            
+            // Cheese
+            const cheeseGeometry = new THREE.CylinderGeometry(0.11, 0.11, 0.02, 16);
+            const cheeseMaterial = new THREE.MeshStandardMaterial({ color: 0xffd700 });
+            const cheese = new THREE.Mesh(cheeseGeometry, cheeseMaterial);
+            cheese.rotation.x = Math.PI / 2;
+            cheese.position.z = 0;
+            burgerGroup.add(cheese);
+            
+            // Top bun
+            const topBun = new THREE.Mesh(bottomBunGeometry, bunMaterial);
+            topBun.rotation.x = Math.PI / 2;
+            topBun.position.z = 0.03;
+            burgerGroup.add(topBun);
+            
+            // Rotate so burger is held horizontally
+            burgerGroup.rotation.x = Math.PI / 2;
+            return burgerGroup;
+        }
+    },
+    soda: {
+        name: 'Soda',
+        icon: '🥤',
+        label: 'Heal',
+        use: 'heal',
+        cooldown: 1000,
+        stack: 16,
+        consumable: true,
+        heal: 15,
+        animation: 'drink',
+        model: (THREE) => {
+            const canGeometry = new THREE.CylinderGeometry(0.06, 0.06, 0.15, 16);
+            const canMaterial = new THREE.MeshStandardMaterial({
+                color: 0xff0000,
+                metalness: 0.8,
+                roughness: 0.2
+            });
+            const can = new THREE.Mesh(canGeometry, canMaterial);
+            // Rotate so can is held vertically
+            can.rotation.x = Math.PI / 2;
+            return can;
+        }
+    },
+    baseballbat: {
+        name: 'Baseball Bat',
+        icon: '⚾',
+        label: 'Ragdoll',
+        use: 'melee',
+        cooldown: 1000,
+        damage: 0,
+        range: 1.5,
+        launch: true,
+        model: (THREE) => {
+            const batGroup = new THREE.Group();
+            
+            const batMaterial = new THREE.MeshStandardMaterial({
+                color: 0x8b4513, // Brown wood color
+                metalness: 0.1,
+                roughness: 0.9
+            });
+            
+            const handleMaterial = new THREE.MeshStandardMaterial({
+                color: 0x654321, // Darker brown for grip
+                metalness: 0.1,
+                roughness: 0.9
+            });
+            
+            // Bat dimensions
+            const batLength = 0.7;
+            const handleLength = 0.2;
+            const handleRadius = 0.04;
+            const barrelRadius = 0.06;
+            
+            // Handle/grip - extends backward from grip point
+            const handleGeometry = new THREE.CylinderGeometry(handleRadius, handleRadius, handleLength, 8);
+            const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+            handle.rotation.x = Math.PI / 2; // Rotate to extend along z-axis
+            handle.position.z = -handleLength / 2; // Center of handle is backward
+            handle.castShadow = true;
+            batGroup.add(handle);
+            
+            // Barrel/main body - extends forward from grip
+            const barrelGeometry = new THREE.CylinderGeometry(barrelRadius, handleRadius, batLength - handleLength, 8);
+            const barrel = new THREE.Mesh(barrelGeometry, batMaterial);
+            barrel.rotation.x = Math.PI / 2; // Rotate to extend along z-axis
+            barrel.position.z = (batLength - handleLength) / 2; // Center of barrel is forward
+            barrel.castShadow = true;
+            batGroup.add(barrel);
+            
+            // Rotate so bat points forward (same as sword)
+            batGroup.rotation.y = -Math.PI;
+            batGroup.castShadow = true;
+            return batGroup;
+        }
+    },
+    car: {
+        name: 'Car',
+        icon: '🚗',
+        label: 'Spawn Car',
+        use: 'spawnCar',
+        cooldown: 1000
+    },
+    wand: {
+        name: 'Wand',
+        icon: '🪄',
+        label: 'Select Region',
+        use: 'select',
+        cooldown: 1000,
+        give: false, // Given by //wand
+        model: (THREE) => {
+            // A thin stick with a glowing tip
+            const wandGroup = new THREE.Group();
+            
+            const stickLength = 0.5;
+            const stickGeometry = new THREE.CylinderGeometry(0.015, 0.02, stickLength, 8);
+            const stick = new THREE.Mesh(stickGeometry, new THREE.MeshStandardMaterial({ color: 0x3b2a1a, roughness: 0.8 }));
+            stick.rotation.x = Math.PI / 2; // Rotate to extend along z-axis
+            stick.position.z = stickLength / 2 - 0.1; // Mostly forward of the grip
+            stick.castShadow = true;
+            wandGroup.add(stick);
+            
+            const tipGeometry = new THREE.SphereGeometry(0.04, 8, 8);
+            const tip = new THREE.Mesh(tipGeometry, new THREE.MeshStandardMaterial({
+                color: 0x00ffff,
+                emissive: 0x00ffff,
+                emissiveIntensity: 0.8
+            }));
+            tip.position.z = stickLength - 0.1;
+            wandGroup.add(tip);
+            
+            // Rotate so wand points forward (same as sword)
+            wandGroup.rotation.y = -Math.PI;
+            return wandGroup;
+        }
+    }
+};
+
+export const ITEM_IDS = Object.keys(ITEMS);
+
+// Inventory slots a player has
+export const INVENTORY_SLOTS = 9;
+
+// Starter kit, in inventory order, for worlds that don't set their own (see /kit)
+export const STARTING_ITEMS = [
+    { item: 'sword', count: 1 },
+    { item: 'cheeseburger', count: 5 },
+    { item: 'soda', count: 5 },
+    { item: 'baseballbat', count: 1 },
+    { item: 'bow', count: 1 },
+    { item: 'blaster', count: 1 },
+    { item: 'car', count: 1 }
+];
@@ -5,6 +5,9 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import crypto from 'crypto';
 import fs from 'fs';
+import readline from 'readline';
+import { promisify } from 'util';
+import { ITEMS, ITEM_IDS, INVENTORY_SLOTS, STARTING_ITEMS } from './items.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -18,7 +21,13 @@ const io = new Server(httpServer, {
     }
 });
 
-app.use(express.static(__dirname));
+// Serve only the client's files - the server's data files live in the same directory
+const CLIENT_FILES = ['index.html', 'style.css', 'game.js', 'items.js', 'death-sound.mp3', 'ragdollsound.mp3'];
+app.get('/', (req, res) => res.sendFile(join(__dirname, 'index.html')));
+CLIENT_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => res.sendFile(join(__dirname, file)));
+});
+app.use('/capes', express.static(join(__dirname, 'capes')));
 
 const PORT = process.env.PORT || 3000;
 
@@ -55,242 +64,2001 @@ function saveData() {
     }
 }
 
-function hashPassword(password) {
+// Password hashing - scrypt with a random salt per account.
+// Hashes are stored as "scrypt$<salt>$<hash>". Accounts created before this
+// have a bare unsalted SHA-256 hex digest, which is upgraded on the next login.
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_PREFIX = 'scrypt$';
+const SCRYPT_KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    return `${SCRYPT_PREFIX}${salt}$${hash.toString('hex')}`;
+}
+
+function legacyHashPassword(password) {
     return crypto.createHash('sha256').update(password).digest('hex');
 }
 
-// Initialize admin account
+function isLegacyHash(passwordHash) {
+    return !passwordHash.startsWith(SCRYPT_PREFIX);
+}
+
+async function verifyPassword(password, passwordHash) {
+    if (typeof password !== 'string' || typeof passwordHash !== 'string') {
+        return false;
+    }
+    
+    let expected;
+    let actual;
+    if (isLegacyHash(passwordHash)) {
+        expected = Buffer.from(passwordHash, 'hex');
+        actual = Buffer.from(legacyHashPassword(password), 'hex');
+    } else {
+        const [salt, hash] = passwordHash.slice(SCRYPT_PREFIX.length).split('$');
+        expected = Buffer.from(hash || '', 'hex');
+        actual = await scrypt(password, salt || '', expected.length || SCRYPT_KEY_LENGTH);
+    }
+    // Constant-time comparison
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Roles, from most to least privileged. Registered accounts store their role,
+// guests always have the "guest" role.
+const ROLES = ['owner', 'admin', 'moderator', 'builder', 'member', 'guest'];
+const DEFAULT_ROLE = 'member';
+
+// Lowest role allowed to use each command or perform each action
+const PERMISSIONS = {
+    'command.fly': 'admin',
+    'command.bot': 'admin',
+    'command.give': 'admin',
+    'command.kit': 'admin',
+    'command.kill': 'admin',
+    'command.kick': 'moderator',
+    'command.tp': 'moderator',
+    'command.heal': 'moderator',
+    'command.role.set': 'admin',
+    'command.role.list': 'guest',
+    'command.ban': 'admin',
+    'command.unban': 'admin',
+    'command.tempban': 'moderator',
+    'command.mute': 'moderator',
+    'command.unmute': 'moderator',
+    'command.log': 'moderator',
+    'command.rollback': 'admin',
+    'command.edit': 'builder', // Region editing: /wand, /fill, /copy, /undo, ...
+    'block.build': 'guest', // Placing and removing blocks
+    'block.hazard': 'builder', // Placing kill and damage blocks
+    'car.spawn': 'member',
+    'world.create': 'member',
+    'claim.create': 'member',
+    'claim.override': 'admin' // Build in and remove anyone's claims
+};
+const HAZARD_BLOCK_TYPES = ['kill', 'damage'];
+
+function getRoleRank(role) {
+    const rank = ROLES.indexOf(role);
+    return rank === -1 ? ROLES.indexOf('guest') : rank;
+}
+
+function hasPermission(role, permission) {
+    const required = PERMISSIONS[permission];
+    return required !== undefined && getRoleRank(role) <= getRoleRank(required);
+}
+
+// All permissions granted to a role (sent to the client so it can hide what it can't use)
+function getRolePermissions(role) {
+    return Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+}
+
+function getAccountRole(username) {
+    const account = username && Object.prototype.hasOwnProperty.call(accounts, username) ? accounts[username] : null;
+    return account ? account.role || DEFAULT_ROLE : 'guest';
+}
+
+// Owners can moderate anyone, everyone else only players ranked below them
+function canModerate(actorRole, targetRole) {
+    return actorRole === 'owner' || getRoleRank(actorRole) < getRoleRank(targetRole);
+}
+
+// Owners can assign any role. Everyone else can only change players ranked below
+// them, and can't hand out a role above their own.
+function canAssignRole(actorRole, targetRole, newRole) {
+    if (actorRole === 'owner') {
+        return true;
+    }
+    return getRoleRank(actorRole) < getRoleRank(targetRole) && getRoleRank(actorRole) <= getRoleRank(newRole);
+}
+
+// Initialize accounts
 loadData();
-const ADMIN_USERNAME = 'Erman365';
-const ADMIN_PASSWORD = 'DgSfnMVe365!';
-if (!accounts[ADMIN_USERNAME]) {
-    accounts[ADMIN_USERNAME] = {
-        passwordHash: hashPassword(ADMIN_PASSWORD),
-        isAdmin: true
+
+// Accounts from before roles have an isAdmin flag instead
+function migrateAccountRoles() {
+    let migrated = false;
+    for (const account of Object.values(accounts)) {
+        if (!account.role) {
+            account.role = account.isAdmin ? 'admin' : DEFAULT_ROLE;
+            delete account.isAdmin;
+            migrated = true;
+        }
+    }
+    if (migrated) {
+        saveData();
+        console.log('Migrated accounts to roles');
+    }
+}
+
+migrateAccountRoles();
+
+// Initialize owner account
+// On first run (no owner yet) the owner is created from the ADMIN_USERNAME and
+// ADMIN_PASSWORD environment variables, or from a one-time prompt when run in a terminal.
+// Servers upgraded from admin flags promote their oldest admin instead.
+async function createOwnerAccount(username, password) {
+    accounts[username] = {
+        passwordHash: await hashPassword(password),
+        role: 'owner',
+        createdAt: new Date().toISOString()
     };
     saveData();
+    console.log(`Owner account "${username}" created`);
+}
+
+function promptOwnerAccount() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    console.log('No owner account found. Create one now (input is not hidden).');
+    rl.question('Owner username: ', (username) => {
+        rl.question('Owner password: ', async (password) => {
+            rl.close();
+            username = username.trim();
+            if (!username || password.length < 6) {
+                console.log('Owner account not created: username required and password must be at least 6 characters');
+                return;
+            }
+            await createOwnerAccount(username, password);
+        });
+    });
+}
+
+async function bootstrapOwner() {
+    if (Object.values(accounts).some(account => account.role === 'owner')) {
+        return;
+    }
+    
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    const admins = Object.keys(accounts).filter(username => accounts[username].role === 'admin');
+    if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+        if (accounts[ADMIN_USERNAME]) {
+            // Someone else may have registered the name first - only promote it with the right password
+            if (!await verifyPassword(ADMIN_PASSWORD, accounts[ADMIN_USERNAME].passwordHash)) {
+                console.warn(`Account "${ADMIN_USERNAME}" exists and ADMIN_PASSWORD does not match it - not promoting it to owner`);
+                return;
+            }
+            accounts[ADMIN_USERNAME].role = 'owner';
+            saveData();
+            console.log(`Account "${ADMIN_USERNAME}" promoted to owner`);
+        } else {
+            await createOwnerAccount(ADMIN_USERNAME, ADMIN_PASSWORD);
+        }
+    } else if (admins.length > 0) {
+        // Accounts are stored in creation order
+        accounts[admins[0]].role = 'owner';
+        saveData();
+        console.log(`Admin account "${admins[0]}" promoted to owner`);
+    } else if (process.stdin.isTTY) {
+        promptOwnerAccount();
+    } else {
+        console.warn('No owner account found. Set ADMIN_USERNAME and ADMIN_PASSWORD to create one.');
+    }
 }
 
+bootstrapOwner().catch(error => {
+    console.error('Error creating owner account:', error);
+});
+
 // Game state
-const players = new Map();
-const blocks = new Map();
-const cars = new Map(); // Track all cars
+const players = new Map(); // All connected players (player.world holds their current world name)
 let botEnabled = false; // Bot state
 let botSocket = null; // Bot socket connection
 const flyingPlayers = new Set(); // Track players with fly enabled
-const adminStatus = new Map(); // Track admin status by socket ID (for immediate updates)
 const voiceChatEnabled = new Set(); // Track players with voice chat enabled
 const VOICE_CHAT_DISTANCE = 50; // Maximum distance for voice chat (in game units)
 
-// Helper function to generate unique ID
-function generateId() {
-    return Math.random().toString(36).substring(2, 15);
-}
-
 // Block types
 const BLOCK_TYPES = {
     grass: { color: 0x4a7c59 },
     stone: { color: 0x808080 },
     wood: { color: 0x8b4513 },
     brick: { color: 0xb22222 },
-    dirt: { color: 0x8b7355 }
+    dirt: { color: 0x8b7355 },
+    // Special blocks (matches BLOCK_TYPES in game.js)
+    kill: { color: 0xff0000 },
+    damage: { color: 0xff8800 },
+    door: { color: 0x654321 },
+    sign: { color: 0xffff66 },
+    ladder: { color: 0xc2a17a }
 };
 
-io.on('connection', (socket) => {
-    console.log('Player connected:', socket.id);
-    
-    let playerUsername = null;
-    let isGuest = false;
-    let isAdmin = false;
+// Block metadata - extra per-block state for block types that need it.
+// Each property has a default value and a sanitizer for values sent by clients.
+// To add a new property, add it here; it is carried through placeBlock, blockUpdate,
+// gameState and the world save automatically.
+const BLOCK_METADATA = {
+    door: {
+        isOpen: { default: false, sanitize: (value) => value === true }
+    },
+    sign: {
+        message: { default: '', sanitize: (value) => String(value ?? '').slice(0, 200) }
+    }
+};
+
+// Build a block's metadata from its type defaults, the existing metadata and any new values.
+// Returns undefined for block types without metadata.
+function buildBlockMeta(type, values = {}, existing = {}) {
+    const schema = BLOCK_METADATA[type];
+    if (!schema) return undefined;
     
-    // Handle authentication
-    socket.on('authenticate', ({ username, password, isGuest: guest }) => {
-        if (guest) {
-            isGuest = true;
-            socket.emit('authResponse', { success: true, isGuest: true, username });
-            return;
-        }
-        
-        const account = accounts[username];
-        if (account && account.passwordHash === hashPassword(password)) {
-            playerUsername = username;
-            isAdmin = account.isAdmin || false;
-            // Store admin status in Map for immediate access
-            adminStatus.set(socket.id, isAdmin);
-            const characterData = characters[username] || null;
-            socket.emit('authResponse', { 
-                success: true, 
-                username, 
-                isAdmin,
-                characterData 
-            });
+    const meta = {};
+    for (const [prop, def] of Object.entries(schema)) {
+        if (values && values[prop] !== undefined) {
+            meta[prop] = def.sanitize(values[prop]);
+        } else if (existing && existing[prop] !== undefined) {
+            meta[prop] = existing[prop];
         } else {
-            socket.emit('authResponse', { success: false, message: 'Invalid credentials' });
+            meta[prop] = def.default;
+        }
+    }
+    return meta;
+}
+
+// Create a block record (metadata is only stored for types that have it)
+function createBlockRecord(x, y, z, type, metaValues = {}) {
+    const block = { x, y, z, type };
+    const meta = buildBlockMeta(type, metaValues);
+    if (meta) {
+        block.meta = meta;
+    }
+    return block;
+}
+
+// Worlds - each world has its own blocks and cars and a socket.io room
+const WORLDS_DIR = 'worlds';
+const LEGACY_WORLD_FILE = 'world.json'; // Single-world save from before named worlds
+const DEFAULT_WORLD = 'default';
+const WORLD_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,24}$/;
+const WORLD_AUTOSAVE_INTERVAL = 60000; // Autosave every 60 seconds
+const worlds = new Map(); // name -> { name, room, blocks, chunks, cars, claims, projectiles, starterKit, history, dirty }
+
+function createWorld(name) {
+    const world = {
+        name,
+        room: `world:${name}`,
+        blocks: new Map(),
+        chunks: new Map(), // Chunk key -> Map of the blocks in it, see setWorldBlock
+        cars: new Map(),
+        claims: [], // Land claims, see getBlockingClaim
+        projectiles: new Map(), // Projectiles in flight, see updateProjectiles
+        starterKit: null, // Items players start with here, null for STARTING_ITEMS (see /kit)
+        history: new Map(), // Block changes for /rollback, see recordBlockChange
+        dirty: false // Set when blocks change, cleared after a save
+    };
+    worlds.set(name, world);
+    return world;
+}
+
+// Chunks - worlds are split into CHUNK_SIZE x CHUNK_SIZE columns of blocks. Players are
+// only sent the chunks within VIEW_DISTANCE of them, and block changes and movement only
+// go to the players who have that chunk loaded (see updatePlayerChunks).
+const CHUNK_SIZE = 16;
+const VIEW_DISTANCE = 4; // Chunks loaded in each direction around the player
+
+function getChunkKey(x, z) {
+    return `${Math.floor(x / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`;
+}
+
+// Add or replace a block, keeping the world's chunk index up to date
+function setWorldBlock(world, key, block) {
+    world.blocks.set(key, block);
+    const chunkKey = getChunkKey(block.x, block.z);
+    if (!world.chunks.has(chunkKey)) {
+        world.chunks.set(chunkKey, new Map());
+    }
+    world.chunks.get(chunkKey).set(key, block);
+}
+
+function deleteWorldBlock(world, key) {
+    const block = world.blocks.get(key);
+    if (!block) return;
+    world.blocks.delete(key);
+    const chunkKey = getChunkKey(block.x, block.z);
+    const chunk = world.chunks.get(chunkKey);
+    if (chunk) {
+        chunk.delete(key);
+        if (chunk.size === 0) {
+            world.chunks.delete(chunkKey);
         }
+    }
+}
+
+function getWorldFile(name) {
+    return join(WORLDS_DIR, `${name}.json`);
+}
+
+// Get the world a player is currently in
+function getPlayerWorld(playerId) {
+    const player = players.get(playerId);
+    return player ? worlds.get(player.world) || null : null;
+}
+
+// Count players currently in a world
+function getWorldPlayerCount(name) {
+    let count = 0;
+    for (const p of players.values()) {
+        if (p.world === name) count++;
+    }
+    return count;
+}
+
+// World list sent to clients for the world picker and /world list
+function getWorldList() {
+    return Array.from(worlds.keys()).map(name => ({
+        name,
+        players: getWorldPlayerCount(name)
+    }));
+}
+
+// Load blocks and claims from a save file into a world
+function loadWorldFile(world, file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    (data.blocks || []).forEach(block => {
+        // Older saves stored door/sign state (isOpen, message) directly on the block
+        const record = createBlockRecord(block.x, block.y, block.z, block.type, block.meta || block);
+        setWorldBlock(world, `${block.x},${block.y},${block.z}`, record);
     });
-    
-    // Handle account creation
-    socket.on('createAccount', ({ username, password }) => {
-        if (accounts[username]) {
-            socket.emit('createAccountResponse', { success: false, message: 'Username already exists' });
-            return;
+    world.claims = data.claims || [];
+    world.starterKit = data.starterKit ? sanitizeSlots(data.starterKit) : null;
+    world.history = new Map(data.history || []);
+    console.log(`Loaded world "${world.name}" (${world.blocks.size} blocks)`);
+}
+
+// Load every saved world from disk
+function loadWorlds() {
+    try {
+        if (!fs.existsSync(WORLDS_DIR)) {
+            fs.mkdirSync(WORLDS_DIR, { recursive: true });
         }
+        fs.readdirSync(WORLDS_DIR).forEach(file => {
+            const name = file.replace(/\.json$/, '');
+            if (file.endsWith('.json') && WORLD_NAME_PATTERN.test(name)) {
+                try {
+                    loadWorldFile(createWorld(name), join(WORLDS_DIR, file));
+                } catch (error) {
+                    console.error(`Error loading world "${name}":`, error);
+                }
+            }
+        });
         
-        accounts[username] = {
-            passwordHash: hashPassword(password),
-            isAdmin: false
-        };
-        saveData();
-        socket.emit('createAccountResponse', { success: true, message: 'Account created successfully' });
-    });
-    
-    // Handle character save
-    socket.on('saveCharacter', () => {
-        if (playerUsername && !isGuest) {
-            const player = players.get(socket.id);
-            if (player) {
-                characters[playerUsername] = {
-                    color: player.color,
-                    hat: player.hat,
-                    cape: player.cape || 'none',
-                    position: player.position
-                };
-                saveData();
+        // Migrate the old single-world save into the default world
+        if (!worlds.has(DEFAULT_WORLD)) {
+            const world = createWorld(DEFAULT_WORLD);
+            if (fs.existsSync(LEGACY_WORLD_FILE)) {
+                loadWorldFile(world, LEGACY_WORLD_FILE);
+                saveWorld(world);
+                fs.renameSync(LEGACY_WORLD_FILE, LEGACY_WORLD_FILE + '.migrated');
             }
         }
-    });
-    
-    // Create new player (will be updated with customization)
-    const playerId = socket.id;
-    players.set(playerId, {
-        id: playerId,
-        name: 'Player',
-        username: null, // Will be set during authentication/customization
-        position: { x: 0, y: 5, z: 0 },
-        rotation: { x: 0, y: 0, z: 0 },
-        headRotation: { x: 0, y: 0, z: 0 },
-        color: 0x0066ff,
-        hat: 'none',
-        isAdmin: false
-    });
+    } catch (error) {
+        console.error('Error loading worlds:', error);
+        if (!worlds.has(DEFAULT_WORLD)) {
+            createWorld(DEFAULT_WORLD);
+        }
+    }
+}
 
-    // Handle player customization
-    socket.on('playerCustomization', (data) => {
-        const player = players.get(playerId);
-        if (player) {
-            player.name = data.name || 'Player';
-            player.username = playerUsername; // Store username for command lookups
-            player.color = data.color || 0x0066ff;
-            player.hat = data.hat || 'none';
-            player.cape = data.cape || 'none';
-            player.isAdmin = isAdmin;
-            
-            // Load saved position if available
-            if (playerUsername && characters[playerUsername] && characters[playerUsername].position) {
-                player.position = characters[playerUsername].position;
-            }
-            
-            // Send updated game state
-            socket.emit('gameState', {
-                players: Array.from(players.values()).filter(p => p.id !== playerId).map(p => ({
-                    ...p,
-                    equippedItem: p.equippedItem || null
-                })),
-                blocks: Array.from(blocks.entries()).map(([key, value]) => ({ key, ...value })),
-                cars: Array.from(cars.values())
-            });
+function saveWorld(world) {
+    try {
+        const file = getWorldFile(world.name);
+        const data = {
+            name: world.name,
+            savedAt: new Date().toISOString(),
+            blocks: Array.from(world.blocks.values()),
+            claims: world.claims,
+            starterKit: world.starterKit,
+            history: pruneBlockHistory(world)
+        };
+        // Write to a temp file first so a crash mid-write can't corrupt the save
+        fs.writeFileSync(file + '.tmp', JSON.stringify(data));
+        fs.renameSync(file + '.tmp', file);
+        world.dirty = false;
+        console.log(`World "${world.name}" saved (${world.blocks.size} blocks)`);
+    } catch (error) {
+        console.error(`Error saving world "${world.name}":`, error);
+    }
+}
 
-            // Broadcast new player to others
-            socket.broadcast.emit('playerJoined', {
-                ...player,
-                equippedItem: player.equippedItem || null
-            });
+function saveAllWorlds(onlyDirty = false) {
+    worlds.forEach(world => {
+        if (!onlyDirty || world.dirty) {
+            saveWorld(world);
         }
     });
+}
 
-    // Handle player movement
-    socket.on('playerMove', (data) => {
-        const player = players.get(playerId);
-        if (player) {
-            // Don't accept position updates from dead players
-            if (player.health !== undefined && player.health <= 0) {
-                return; // Reject movement updates from dead players
-            }
-            player.position = data.position;
-            player.rotation = data.rotation;
-            player.headRotation = data.headRotation || { x: 0, y: 0, z: 0 };
-            socket.broadcast.emit('playerMoved', {
-                id: playerId,
-                ...data
-            });
+// Load worlds before any player can receive a gameState
+loadWorlds();
+
+// Autosave periodically (only worlds that changed)
+setInterval(() => {
+    saveAllWorlds(true);
+}, WORLD_AUTOSAVE_INTERVAL);
+
+// Save on graceful shutdown
+function shutdown(signal) {
+    console.log(`Received ${signal}, saving worlds...`);
+    saveAllWorlds();
+    players.forEach(storeInventories);
+    saveData();
+    process.exit(0);
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Emit to everyone in a player's world (including the player)
+function emitToWorld(playerId, event, data) {
+    const world = getPlayerWorld(playerId);
+    if (world) {
+        io.to(world.room).emit(event, data);
+    }
+}
+
+// Emit to everyone else in the socket's world
+function broadcastToWorld(socket, event, data) {
+    const world = getPlayerWorld(socket.id);
+    if (world) {
+        socket.to(world.room).emit(event, data);
+    }
+}
+
+// World streaming - each player's socket is in a room per loaded chunk, so block changes
+// can be sent to just the players who can see them
+const streamedChunks = new Map(); // playerId -> { world, center, chunks: Set of chunk keys }
+
+function getChunkRoom(world, chunkKey) {
+    return `${world.room}:${chunkKey}`;
+}
+
+// The chunk a player is standing in
+function getPlayerChunkKey(player) {
+    const position = player.position || { x: 0, z: 0 };
+    return getChunkKey(Math.round(position.x), Math.round(position.z));
+}
+
+// Chunk keys within VIEW_DISTANCE of a chunk
+function getChunksInView(centerKey) {
+    const [centerX, centerZ] = centerKey.split(',').map(Number);
+    const chunks = new Set();
+    for (let x = centerX - VIEW_DISTANCE; x <= centerX + VIEW_DISTANCE; x++) {
+        for (let z = centerZ - VIEW_DISTANCE; z <= centerZ + VIEW_DISTANCE; z++) {
+            chunks.add(`${x},${z}`);
         }
+    }
+    return chunks;
+}
+
+function getChunkBlocks(world, chunkKey) {
+    const chunk = world.chunks.get(chunkKey);
+    return chunk ? Array.from(chunk.entries()).map(([key, value]) => ({ key, ...value })) : [];
+}
+
+// Emit to everyone who has the chunk holding (x, z) loaded
+function emitToChunk(world, x, z, event, data) {
+    io.to(getChunkRoom(world, getChunkKey(x, z))).emit(event, data);
+}
+
+// Start streaming a world to a player; returns the chunks they have now
+function startPlayerChunks(socket, player, world) {
+    stopPlayerChunks(socket, player.id);
+    const center = getPlayerChunkKey(player);
+    const chunks = getChunksInView(center);
+    chunks.forEach(chunkKey => socket.join(getChunkRoom(world, chunkKey)));
+    streamedChunks.set(player.id, { world: world.name, center, chunks });
+    return chunks;
+}
+
+function stopPlayerChunks(socket, playerId) {
+    const streamed = streamedChunks.get(playerId);
+    if (!streamed) return;
+    const world = worlds.get(streamed.world);
+    if (world) {
+        streamed.chunks.forEach(chunkKey => socket.leave(getChunkRoom(world, chunkKey)));
+    }
+    streamedChunks.delete(playerId);
+}
+
+// After a player moves into another chunk: send the chunks that came into view (with the
+// players standing in them) and tell the client which ones to drop
+function updatePlayerChunks(socket, player, world) {
+    const streamed = streamedChunks.get(player.id);
+    if (!streamed || streamed.world !== world.name) return;
+    const center = getPlayerChunkKey(player);
+    if (center === streamed.center) return;
+    
+    const chunks = getChunksInView(center);
+    const load = Array.from(chunks).filter(chunkKey => !streamed.chunks.has(chunkKey));
+    const unload = Array.from(streamed.chunks).filter(chunkKey => !chunks.has(chunkKey));
+    load.forEach(chunkKey => socket.join(getChunkRoom(world, chunkKey)));
+    unload.forEach(chunkKey => socket.leave(getChunkRoom(world, chunkKey)));
+    streamed.center = center;
+    streamed.chunks = chunks;
+    
+    const loaded = new Set(load);
+    socket.emit('chunksChanged', {
+        load: load.map(chunkKey => ({ chunk: chunkKey, blocks: getChunkBlocks(world, chunkKey) })),
+        unload,
+        players: Array.from(players.values())
+            .filter(p => p.id !== player.id && p.world === world.name && loaded.has(getPlayerChunkKey(p)))
+            .map(p => ({ id: p.id, position: p.position, rotation: p.rotation, headRotation: p.headRotation }))
     });
+}
 
-    // Handle chat messages and commands
-    socket.on('chatMessage', (message) => {
-        const player = players.get(playerId);
-        if (player && message.trim()) {
-            // Check if it's a command (starts with /)
-            if (message.startsWith('/')) {
-                handleCommand(socket, playerId, player, message, isAdmin);
-                return; // Don't broadcast commands as chat messages
-            }
-            
-            const chatData = {
-                id: playerId,
-                name: player.name,
-                username: player.name,
-                message: message,
-                timestamp: new Date().toLocaleTimeString()
-            };
-            io.emit('chatMessage', chatData);
-        }
+// Send a world's players, cars and the blocks around the player to one player
+function sendGameState(socket, player, world) {
+    const chunks = startPlayerChunks(socket, player, world);
+    socket.emit('gameState', {
+        world: world.name,
+        chunkSize: CHUNK_SIZE,
+        chunks: Array.from(chunks),
+        players: Array.from(players.values()).filter(p => p.id !== player.id && p.world === world.name).map(p => ({
+            ...p,
+            equippedItem: p.equippedItem || null
+        })),
+        blocks: Array.from(chunks).flatMap(chunkKey => getChunkBlocks(world, chunkKey)),
+        cars: Array.from(world.cars.values()),
+        claims: world.claims
     });
+    sendInventory(socket, player);
+}
 
-    // Handle block placement
-    socket.on('placeBlock', (data) => {
-        const blockKey = `${data.x},${data.y},${data.z}`;
-        if (!blocks.has(blockKey)) {
-            blocks.set(blockKey, {
-                x: data.x,
-                y: data.y,
-                z: data.z,
-                type: data.type || 'dirt'
+// Server tick - instead of relaying every move as it arrives, player and car state goes
+// out SNAPSHOT_RATE times a second as one snapshot per player. Snapshots carry the server
+// time so clients can draw other players and cars smoothly between them.
+const SNAPSHOT_RATE = 20; // Snapshots per second
+const SNAPSHOT_IDLE_TIME = 500; // Keep sending a player or car this long after it stops (ms)
+const snapshotChunkKeys = new Map(); // playerId -> chunk the player was in at the last tick
+
+function sendSnapshots() {
+    const time = Date.now();
+    const isActive = updatedAt => updatedAt !== undefined && time - updatedAt <= SNAPSHOT_IDLE_TIME;
+    
+    worlds.forEach(world => {
+        const worldPlayers = Array.from(players.values()).filter(p => p.world === world.name);
+        if (worldPlayers.length === 0) return;
+        
+        const states = [];
+        worldPlayers.forEach(p => {
+            const chunkKey = getPlayerChunkKey(p);
+            const previousChunkKey = snapshotChunkKeys.get(p.id) || chunkKey;
+            snapshotChunkKeys.set(p.id, chunkKey);
+            if (!isActive(p.movedAt)) return;
+            states.push({
+                id: p.id,
+                chunkKey,
+                previousChunkKey,
+                state: {
+                    id: p.id,
+                    position: p.position,
+                    rotation: p.rotation,
+                    headRotation: p.headRotation,
+                    isSprinting: p.isSprinting || false
+                }
             });
-            io.emit('blockPlaced', blocks.get(blockKey));
-        }
+        });
+        const cars = Array.from(world.cars.values())
+            .filter(car => isActive(car.updatedAt))
+            .map(car => ({ carId: car.carId, position: car.position, rotation: car.rotation }));
+        if (states.length === 0 && cars.length === 0) return;
+        
+        worldPlayers.forEach(recipient => {
+            const streamed = streamedChunks.get(recipient.id);
+            const socket = io.sockets.sockets.get(recipient.id);
+            if (!streamed || !socket) return;
+            // Players in chunks we have loaded, and players who just left them (so we can hide them)
+            const visible = states.filter(({ id, chunkKey, previousChunkKey }) => id !== recipient.id
+                && (streamed.chunks.has(chunkKey) || streamed.chunks.has(previousChunkKey)));
+            if (visible.length === 0 && cars.length === 0) return;
+            socket.emit('snapshot', {
+                time,
+                players: visible.map(({ state }) => state),
+                cars
+            });
+        });
     });
+}
 
-    // Handle block removal
+setInterval(sendSnapshots, 1000 / SNAPSHOT_RATE);
+
+// Move a player into a world: join its room, send its state and announce the player
+function joinWorld(socket, player, world) {
+    if (player.world && player.world !== world.name) {
+        leaveWorld(socket, player);
+    }
+    player.world = world.name;
+    resetMovement(player);
+    if (player.equippedItem && !hasItem(player, player.equippedItem)) {
+        player.equippedItem = null;
+    }
+    socket.join(world.room);
+    sendGameState(socket, player, world);
+    
+    // Broadcast new player to others in the world
+    socket.to(world.room).emit('playerJoined', {
+        ...player,
+        equippedItem: player.equippedItem || null
+    });
+}
+
+// Remove a player from their current world (on world switch or disconnect)
+function leaveWorld(socket, player) {
+    const world = worlds.get(player.world);
+    if (!world) return;
+    
+    // Free the player's car seat
+    if (player.inCar) {
+        const car = world.cars.get(player.inCar);
+        if (car && car.seats[player.carSeatIndex] === player.id) {
+            car.seats[player.carSeatIndex] = null;
+        }
+        player.inCar = null;
+        player.carSeatIndex = null;
+    }
+    
+    // Claim corners only make sense in the world they were marked in
+    claimSelections.delete(player.id);
+    // Same for the edit selection and undo history (the clipboard can be pasted anywhere)
+    const editSession = editSessions.get(player.id);
+    if (editSession) {
+        editSession.pos1 = null;
+        editSession.pos2 = null;
+        editSession.undo = [];
+    }
+    
+    // Save what the player carries here
+    if (player.username) {
+        storeInventories(player);
+        saveData();
+    }
+    
+    stopPlayerChunks(socket, player.id);
+    positionHistory.delete(player.id);
+    socket.leave(world.room);
+    socket.to(world.room).emit('playerLeft', player.id);
+    player.world = null;
+}
+
+// Land claims - rectangular areas (at every height) where only the owner and the
+// players they trust may place, remove or change blocks. Saved with the world.
+const CLAIM_MAX_SIZE = 64; // Longest side in blocks
+const CLAIM_MAX_PER_PLAYER = 5; // Claims per player in each world
+const claimSelections = new Map(); // playerId -> { pos1, pos2 } corners picked with /claim pos1 and pos2
+
+function findClaimAt(world, x, z) {
+    return world.claims.find(claim => x >= claim.x1 && x <= claim.x2 && z >= claim.z1 && z <= claim.z2) || null;
+}
+
+function claimsOverlap(a, b) {
+    return a.x1 <= b.x2 && b.x1 <= a.x2 && a.z1 <= b.z2 && b.z1 <= a.z2;
+}
+
+// The claim stopping a player from changing blocks at (x, z), or null if they may
+function getBlockingClaim(world, player, x, z) {
+    const claim = findClaimAt(world, x, z);
+    if (!claim || hasPermission(player.role, 'claim.override')) {
+        return null;
+    }
+    if (player.username && (claim.owner === player.username || claim.trusted.includes(player.username))) {
+        return null;
+    }
+    return claim;
+}
+
+// Save and send the world's claims to everyone in it (clients draw the borders)
+function updateClaims(world) {
+    saveWorld(world);
+    io.to(world.room).emit('claimsUpdated', { claims: world.claims });
+}
+
+// Block history - every change to a block with who made it and what it replaced,
+// so /rollback can undo a griefer's edits. Saved with the world.
+const BLOCK_HISTORY_MAX_AGE = 24 * 60 * 60 * 1000; // Keep changes for a day
+const BLOCK_HISTORY_MAX_CHANGES = 20; // Changes kept per block
+
+// Record a block change; before and after are block records, or null for no block
+function recordBlockChange(world, player, key, before, after) {
+    const snapshot = block => block ? createBlockRecord(block.x, block.y, block.z, block.type, block.meta) : null;
+    const changes = world.history.get(key) || [];
+    changes.push({
+        time: Date.now(),
+        player: player.name,
+        username: player.username || null,
+        before: snapshot(before),
+        after: snapshot(after)
+    });
+    if (changes.length > BLOCK_HISTORY_MAX_CHANGES) {
+        changes.shift();
+    }
+    world.history.set(key, changes);
+}
+
+// Drop changes older than BLOCK_HISTORY_MAX_AGE; returns the history in save file form
+function pruneBlockHistory(world) {
+    const cutoff = Date.now() - BLOCK_HISTORY_MAX_AGE;
+    world.history.forEach((changes, key) => {
+        const recent = changes.filter(change => change.time >= cutoff);
+        if (recent.length > 0) {
+            world.history.set(key, recent);
+        } else {
+            world.history.delete(key);
+        }
+    });
+    return Array.from(world.history);
+}
+
+function isSameBlockState(a, b) {
+    if (!a || !b) return a === b;
+    return a.type === b.type && JSON.stringify(a.meta || {}) === JSON.stringify(b.meta || {});
+}
+
+// Undo a player's block changes since a time, in every world, newest first.
+// A change is only undone while the block is still the way that player left it,
+// so later edits by other players are kept. Each world gets one blocksChanged batch
+// and each block one history entry, so a rollback can itself be rolled back.
+function rollbackPlayer(actor, name, since) {
+    const lowerName = name.toLowerCase();
+    const isTarget = change => (change.username && change.username.toLowerCase() === lowerName)
+        || (change.player && change.player.toLowerCase() === lowerName);
+    let reverted = 0;
+    let skipped = 0;
+    
+    worlds.forEach(world => {
+        const targetChanges = [];
+        world.history.forEach((changes, key) => {
+            changes.forEach((change, index) => {
+                if (change.time >= since && !change.rolledBack && isTarget(change)) {
+                    targetChanges.push({ key, change, index });
+                }
+            });
+        });
+        if (targetChanges.length === 0) return;
+        targetChanges.sort((a, b) => b.change.time - a.change.time || b.index - a.index);
+        
+        const updated = new Map(); // key -> restored block, or null if removed
+        targetChanges.forEach(({ key, change }) => {
+            const current = updated.has(key) ? updated.get(key) : world.blocks.get(key) || null;
+            if (!isSameBlockState(current, change.after)) {
+                skipped++;
+                return;
+            }
+            updated.set(key, change.before ? createBlockRecord(change.before.x, change.before.y, change.before.z, change.before.type, change.before.meta) : null);
+            change.rolledBack = true;
+            reverted++;
+        });
+        setBlocks(world, actor, updated);
+    });
+    
+    return { reverted, skipped };
+}
+
+// Change many blocks at once (key -> block record, or null to remove).
+// Records history, and sends everyone in the world a single blocksChanged batch.
+// Returns the changes actually made as { key, before, after }.
+function setBlocks(world, player, updates) {
+    const applied = [];
+    updates.forEach((block, key) => {
+        const before = world.blocks.get(key) || null;
+        if (isSameBlockState(before, block)) return;
+        if (block) {
+            setWorldBlock(world, key, block);
+        } else {
+            deleteWorldBlock(world, key);
+        }
+        recordBlockChange(world, player, key, before, block);
+        applied.push({ key, before, after: block });
+    });
+    
+    if (applied.length > 0) {
+        world.dirty = true;
+        // One batch per chunk, to the players who have it loaded
+        const batches = new Map(); // chunk key -> changes
+        applied.forEach(({ key, after }) => {
+            const [x, y, z] = key.split(',').map(Number);
+            const chunkKey = getChunkKey(x, z);
+            if (!batches.has(chunkKey)) {
+                batches.set(chunkKey, []);
+            }
+            batches.get(chunkKey).push({ x, y, z, block: after });
+        });
+        batches.forEach((changes, chunkKey) => {
+            io.to(getChunkRoom(world, chunkKey)).emit('blocksChanged', { changes });
+        });
+    }
+    return applied;
+}
+
+// Region editing - builders mark two corners (with the wand or /pos1 and /pos2) and
+// change the whole box with one command. Edits run here against the world's blocks
+// and go out as one blocksChanged batch.
+const EDIT_MAX_BLOCKS = 32768; // Most blocks one command may touch (e.g. 32x32x32)
+const EDIT_UNDO_LIMIT = 10; // Edits each player can /undo
+const EDIT_BLOCK_TYPES = Object.keys(BLOCK_TYPES);
+const editSessions = new Map(); // playerId -> { pos1, pos2, clipboard, undo }
+
+function getEditSession(playerId) {
+    if (!editSessions.has(playerId)) {
+        editSessions.set(playerId, { pos1: null, pos2: null, clipboard: null, undo: [] });
+    }
+    return editSessions.get(playerId);
+}
+
+// The selected box, or null until both corners are marked
+function getEditSelection(session) {
+    if (!session.pos1 || !session.pos2) return null;
+    const { pos1: a, pos2: b } = session;
+    const box = {
+        x1: Math.min(a.x, b.x), y1: Math.min(a.y, b.y), z1: Math.min(a.z, b.z),
+        x2: Math.max(a.x, b.x), y2: Math.max(a.y, b.y), z2: Math.max(a.z, b.z)
+    };
+    box.volume = (box.x2 - box.x1 + 1) * (box.y2 - box.y1 + 1) * (box.z2 - box.z1 + 1);
+    return box;
+}
+
+function forEachInBox(box, callback) {
+    for (let x = box.x1; x <= box.x2; x++) {
+        for (let y = box.y1; y <= box.y2; y++) {
+            for (let z = box.z1; z <= box.z2; z++) {
+                callback(x, y, z);
+            }
+        }
+    }
+}
+
+// Block record for an edit command's block type ('air' means no block)
+function createEditBlock(x, y, z, type) {
+    return type === 'air' ? null : createBlockRecord(x, y, z, type);
+}
+
+// Blueprints - a selection saved as a JSON file to share builds between worlds and players.
+// Block positions are relative to the selection's lowest corner. Clients download them
+// with /export and place them again (through placeBlock) by dropping the file on the game.
+const BLUEPRINT_FORMAT = 'snaptic-blueprint';
+const BLUEPRINT_VERSION = 1;
+
+function createBlueprint(world, box, name) {
+    const blocks = [];
+    forEachInBox(box, (x, y, z) => {
+        const block = world.blocks.get(`${x},${y},${z}`);
+        if (block) {
+            const entry = { x: x - box.x1, y: y - box.y1, z: z - box.z1, type: block.type };
+            if (block.meta) {
+                entry.meta = block.meta;
+            }
+            blocks.push(entry);
+        }
+    });
+    return {
+        format: BLUEPRINT_FORMAT,
+        version: BLUEPRINT_VERSION,
+        name,
+        size: { x: box.x2 - box.x1 + 1, y: box.y2 - box.y1 + 1, z: box.z2 - box.z1 + 1 },
+        blocks
+    };
+}
+
+// Mark corner 1 or 2 of a player's edit selection and show it to them
+function setEditCorner(socket, player, corner, position) {
+    const session = getEditSession(player.id);
+    session[`pos${corner}`] = { x: position.x, y: position.y, z: position.z };
+    socket.emit('editSelection', { pos1: session.pos1, pos2: session.pos2 });
+    const box = getEditSelection(session);
+    sendSystemMessage(socket, `Position ${corner} set to (${position.x}, ${position.y}, ${position.z})`
+        + (box ? ` (${box.volume} blocks selected)` : ''));
+}
+
+// The player's selection for an edit command, or null after telling them why not
+function getEditBox({ socket, player }) {
+    const box = getEditSelection(getEditSession(player.id));
+    if (!box) {
+        sendSystemMessage(socket, 'Select a region first: click two corners with the wand (/wand) or use /pos1 and /pos2');
+        return null;
+    }
+    if (box.volume > EDIT_MAX_BLOCKS) {
+        sendSystemMessage(socket, `The selection is too big (${box.volume} blocks, the limit is ${EDIT_MAX_BLOCKS})`);
+        return null;
+    }
+    return box;
+}
+
+// Apply an edit command's block changes (key -> block or null) after checking
+// hazard permissions and claims, and remember them for /undo
+function runRegionEdit({ socket, player }, updates) {
+    const world = worlds.get(player.world);
+    if (!world) return;
+    if (updates.size > EDIT_MAX_BLOCKS) {
+        sendSystemMessage(socket, `That would change too many blocks (${updates.size}, the limit is ${EDIT_MAX_BLOCKS})`);
+        return;
+    }
+    for (const [key, block] of updates) {
+        if (block && HAZARD_BLOCK_TYPES.includes(block.type) && !hasPermission(player.role, 'block.hazard')) {
+            sendSystemMessage(socket, `You do not have permission to place ${block.type} blocks`);
+            return;
+        }
+        const [x, , z] = key.split(',').map(Number);
+        const claim = getBlockingClaim(world, player, x, z);
+        if (claim) {
+            sendSystemMessage(socket, `Part of this area is claimed by ${claim.owner}`);
+            return;
+        }
+    }
+    
+    const applied = setBlocks(world, player, updates);
+    if (applied.length > 0) {
+        const session = getEditSession(player.id);
+        // Copy the new blocks, blockUpdate replaces the metadata of blocks in the world
+        session.undo.push(applied.map(change => ({ ...change, after: change.after && { ...change.after } })));
+        if (session.undo.length > EDIT_UNDO_LIMIT) {
+            session.undo.shift();
+        }
+    }
+    sendSystemMessage(socket, `${applied.length} blocks changed`);
+}
+
+// Sessions - a signed token issued on login lets a client resume after a dropped connection.
+// The player is kept in the world for a grace period after disconnecting so a resumed
+// session keeps its position, health, equipped item and car seat.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL = 12 * 60 * 60 * 1000; // Tokens are valid for 12 hours
+const RECONNECT_GRACE_PERIOD = 30000; // Keep disconnected players for 30 seconds
+// Only dropped connections get a grace period (not a client disconnect/logout or /kick)
+const DROPPED_CONNECTION_REASONS = ['transport close', 'transport error', 'ping timeout'];
+const sessions = new Map(); // sessionId -> { id, username, isGuest, expiresAt, playerId, removalTimer }
+
+function signSessionPayload(payload) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+function createSession(username, isGuest, playerId) {
+    const session = {
+        id: crypto.randomBytes(16).toString('hex'),
+        username,
+        isGuest,
+        expiresAt: Date.now() + SESSION_TTL,
+        playerId,
+        removalTimer: null
+    };
+    sessions.set(session.id, session);
+    
+    const payload = Buffer.from(JSON.stringify({ sid: session.id, exp: session.expiresAt })).toString('base64url');
+    session.token = `${payload}.${signSessionPayload(payload)}`;
+    return session;
+}
+
+// Check a token's signature and expiry; returns the session or null if invalid or revoked
+function verifySessionToken(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+    
+    const expected = Buffer.from(signSessionPayload(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    
+    try {
+        const { sid, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        const session = sessions.get(sid);
+        if (!session || exp < Date.now()) {
+            return null;
+        }
+        return session;
+    } catch (error) {
+        return null;
+    }
+}
+
+function revokeSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (session) {
+        if (session.removalTimer) {
+            clearTimeout(session.removalTimer);
+        }
+        sessions.delete(sessionId);
+    }
+}
+
+// Drop expired sessions every 10 minutes
+setInterval(() => {
+    const now = Date.now();
+    sessions.forEach((session, id) => {
+        if (session.expiresAt < now && !session.removalTimer) {
+            sessions.delete(id);
+        }
+    });
+}, 10 * 60 * 1000);
+
+// Moderation - bans and mutes, persisted to data/punishments.json.
+// Registered players are punished by username. Guests are punished by IP address and
+// by the device ID their browser sends when connecting, so they can't just rejoin.
+const DATA_DIR = 'data';
+const PUNISHMENTS_FILE = join(DATA_DIR, 'punishments.json');
+const OLD_PUNISHMENTS_FILE = 'punishments.json';
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+let punishments = { bans: [], mutes: [] };
+
+function loadPunishments() {
+    try {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        // Move a punishments file saved by an older version out of the web root
+        if (fs.existsSync(OLD_PUNISHMENTS_FILE) && !fs.existsSync(PUNISHMENTS_FILE)) {
+            fs.renameSync(OLD_PUNISHMENTS_FILE, PUNISHMENTS_FILE);
+        }
+        if (fs.existsSync(PUNISHMENTS_FILE)) {
+            punishments = { bans: [], mutes: [], ...JSON.parse(fs.readFileSync(PUNISHMENTS_FILE, 'utf8')) };
+        }
+    } catch (error) {
+        console.error('Error loading punishments:', error);
+    }
+}
+
+function savePunishments() {
+    try {
+        fs.writeFileSync(PUNISHMENTS_FILE, JSON.stringify(punishments, null, 2));
+    } catch (error) {
+        console.error('Error saving punishments:', error);
+    }
+}
+
+loadPunishments();
+
+// Parse a duration like "30s", "10m", "2h", "7d" or "1w" into milliseconds
+function parseDuration(text) {
+    const match = /^(\d+)([smhdw])$/i.exec(text);
+    return match ? Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()] : null;
+}
+
+// Format milliseconds as e.g. "2d 3h" or "5m 10s" (largest two units)
+function formatDuration(ms) {
+    const parts = [];
+    let remaining = Math.max(0, Math.ceil(ms / 1000)) * 1000;
+    for (const [unit, size] of [['d', DURATION_UNITS.d], ['h', DURATION_UNITS.h], ['m', DURATION_UNITS.m], ['s', DURATION_UNITS.s]]) {
+        if (remaining >= size) {
+            parts.push(`${Math.floor(remaining / size)}${unit}`);
+            remaining %= size;
+        }
+    }
+    return parts.slice(0, 2).join(' ') || '0s';
+}
+
+// The IP address of a socket (Render and most hosts put the client address in X-Forwarded-For)
+function getClientIp(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+}
+
+// identity is { username, ip, fingerprint } (username is null for guests)
+function punishmentMatches(punishment, identity) {
+    if (punishment.username) {
+        return punishment.username === identity.username;
+    }
+    // Guest punishments only apply to guests, so players sharing an IP can still log in
+    return !identity.username && Boolean((punishment.ip && punishment.ip === identity.ip) ||
+        (punishment.fingerprint && punishment.fingerprint === identity.fingerprint));
+}
+
+// The active ban or mute for a player, or null. Expired entries are dropped.
+function findPunishment(type, identity) {
+    const now = Date.now();
+    const active = punishments[type].filter(p => p.expiresAt === null || p.expiresAt > now);
+    if (active.length !== punishments[type].length) {
+        punishments[type] = active;
+        savePunishments();
+    }
+    return active.find(p => punishmentMatches(p, identity)) || null;
+}
+
+// Message shown to a banned or muted player
+function describePunishment(punishment, action) {
+    const duration = punishment.expiresAt === null
+        ? 'permanently'
+        : `for ${formatDuration(punishment.expiresAt - Date.now())} more`;
+    return `You are ${action} ${duration}. Reason: ${punishment.reason}`;
+}
+
+function addPunishment(type, target, reason, duration, issuedBy) {
+    // Replace any earlier ban/mute of the same player
+    punishments[type] = punishments[type].filter(p => !punishmentMatches(p, target));
+    const punishment = {
+        username: target.username,
+        name: target.name,
+        ip: target.username ? null : target.ip,
+        fingerprint: target.username ? null : target.fingerprint,
+        reason: reason || 'No reason given',
+        issuedBy,
+        createdAt: new Date().toISOString(),
+        expiresAt: duration ? Date.now() + duration : null
+    };
+    punishments[type].push(punishment);
+    savePunishments();
+    return punishment;
+}
+
+// Remove bans/mutes by username or (for guests) the name they were punished under
+function removePunishments(type, name) {
+    const lowerName = name.toLowerCase();
+    const before = punishments[type].length;
+    punishments[type] = punishments[type].filter(p =>
+        !((p.username && p.username.toLowerCase() === lowerName) || (!p.username && p.name.toLowerCase() === lowerName)));
+    if (punishments[type].length !== before) {
+        savePunishments();
+        return true;
+    }
+    return false;
+}
+
+// Audit log - one JSON object per line in data/logs/audit.log, only ever appended to.
+// Once the file passes AUDIT_LOG_MAX_SIZE it is renamed to audit-<timestamp>.log and a
+// new one is started; only the newest AUDIT_LOG_MAX_FILES rotated files are kept.
+const AUDIT_LOG_DIR = join(DATA_DIR, 'logs');
+const OLD_AUDIT_LOG_DIR = 'logs';
+const AUDIT_LOG_FILE = join(AUDIT_LOG_DIR, 'audit.log');
+const AUDIT_LOG_MAX_SIZE = 5 * 1024 * 1024; // 5 MB
+const AUDIT_LOG_MAX_FILES = 10;
+let auditLogSize = 0;
+
+try {
+    // Move logs written by an older version out of the web root
+    if (fs.existsSync(OLD_AUDIT_LOG_DIR) && !fs.existsSync(AUDIT_LOG_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.renameSync(OLD_AUDIT_LOG_DIR, AUDIT_LOG_DIR);
+    }
+    fs.mkdirSync(AUDIT_LOG_DIR, { recursive: true });
+    if (fs.existsSync(AUDIT_LOG_FILE)) {
+        auditLogSize = fs.statSync(AUDIT_LOG_FILE).size;
+    }
+} catch (error) {
+    console.error('Error opening audit log:', error);
+}
+
+// Rotated log files, newest first
+function getRotatedAuditLogs() {
+    return fs.readdirSync(AUDIT_LOG_DIR)
+        .filter(file => /^audit-.+\.log$/.test(file))
+        .sort()
+        .reverse()
+        .map(file => join(AUDIT_LOG_DIR, file));
+}
+
+function rotateAuditLog() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    fs.renameSync(AUDIT_LOG_FILE, join(AUDIT_LOG_DIR, `audit-${stamp}.log`));
+    auditLogSize = 0;
+    getRotatedAuditLogs().slice(AUDIT_LOG_MAX_FILES).forEach(file => fs.unlinkSync(file));
+}
+
+// Record something a player did
+// action is e.g. 'block.place', 'block.remove', 'block.update', 'car.spawn', 'death' or 'command'
+function auditLog(action, player, details = {}) {
+    const entry = {
+        time: new Date().toISOString(),
+        action,
+        player: player ? player.name : null,
+        username: player ? player.username || null : null,
+        world: player ? player.world : null,
+        ...details
+    };
+    try {
+        const line = JSON.stringify(entry) + '\n';
+        fs.appendFileSync(AUDIT_LOG_FILE, line);
+        auditLogSize += Buffer.byteLength(line);
+        if (auditLogSize > AUDIT_LOG_MAX_SIZE) {
+            rotateAuditLog();
+        }
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+}
+
+// Whole-block coordinates for log entries
+function roundPosition(position) {
+    return { x: Math.round(position.x), y: Math.round(position.y), z: Math.round(position.z) };
+}
+
+// Newest audit log entries that pass the filter, searching rotated files too
+function searchAuditLog(filter, limit) {
+    const results = [];
+    const files = [AUDIT_LOG_FILE, ...getRotatedAuditLogs()];
+    for (const file of files) {
+        if (!fs.existsSync(file)) continue;
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+            if (!lines[i]) continue;
+            try {
+                const entry = JSON.parse(lines[i]);
+                if (filter(entry)) {
+                    results.push(entry);
+                }
+            } catch (error) {
+                // Skip a line cut short by a crash
+            }
+        }
+        if (results.length >= limit) break;
+    }
+    return results;
+}
+
+// One line of /log output
+function describeAuditEntry(entry) {
+    const time = new Date(entry.time).toLocaleString();
+    const position = entry.x !== undefined ? ` at (${entry.x}, ${entry.y}, ${entry.z})` : '';
+    let text;
+    switch (entry.action) {
+        case 'block.place':
+            text = `placed ${entry.type}${position}`;
+            break;
+        case 'block.remove':
+            text = `removed ${entry.type}${position}`;
+            break;
+        case 'block.update':
+            text = `changed ${entry.type}${position} to ${JSON.stringify(entry.meta)}`;
+            break;
+        case 'block.batch':
+            text = `placed ${entry.count} blocks${position}`;
+            break;
+        case 'car.spawn':
+            text = `spawned a car${position}`;
+            break;
+        case 'death':
+            text = entry.killer && entry.killer !== entry.player ? `was killed by ${entry.killer}${position}` : `died${position}`;
+            break;
+        case 'abuse.disconnect':
+            text = `was disconnected for flooding (${entry.event}: ${entry.reason})`;
+            break;
+        case 'movement.flagged':
+            text = `was flagged for ${entry.count} impossible moves in a minute (last: ${entry.reason})${position}`;
+            break;
+        case 'combat.rejected':
+            text = `had a ${entry.weapon} hit on ${entry.target} rejected (${entry.reason})${position}`;
+            break;
+        case 'command':
+            text = `used ${entry.command}`;
+            break;
+        case 'claim.create':
+            text = `claimed (${entry.x}, ${entry.z}) to (${entry.x2}, ${entry.z2})`;
+            break;
+        case 'claim.remove':
+            text = `removed ${entry.owner}'s claim (${entry.x}, ${entry.z}) to (${entry.x2}, ${entry.z2})`;
+            break;
+        default:
+            text = entry.action;
+    }
+    return `[${time}] ${entry.player} ${text} (${entry.world})`;
+}
+
+// Move a player's state from one socket ID to another (when a session is resumed)
+function transferPlayer(oldId, newId) {
+    const player = players.get(oldId);
+    players.delete(oldId);
+    player.id = newId;
+    players.set(newId, player);
+    
+    if (flyingPlayers.delete(oldId)) {
+        flyingPlayers.add(newId);
+    }
+    if (voiceChatEnabled.delete(oldId)) {
+        voiceChatEnabled.add(newId);
+    }
+    if (claimSelections.has(oldId)) {
+        claimSelections.set(newId, claimSelections.get(oldId));
+        claimSelections.delete(oldId);
+    }
+    if (editSessions.has(oldId)) {
+        editSessions.set(newId, editSessions.get(oldId));
+        editSessions.delete(oldId);
+    }
+    // The new socket gets its chunks with the next gameState
+    streamedChunks.delete(oldId);
+    snapshotChunkKeys.delete(oldId);
+    if (positionHistory.has(oldId)) {
+        positionHistory.set(newId, positionHistory.get(oldId));
+        positionHistory.delete(oldId);
+    }
+    if (weaponCooldowns.has(oldId)) {
+        weaponCooldowns.set(newId, weaponCooldowns.get(oldId));
+        weaponCooldowns.delete(oldId);
+    }
+    if (movementStates.has(oldId)) {
+        movementStates.set(newId, movementStates.get(oldId));
+        movementStates.delete(oldId);
+    }
+    if (playerInventories.has(oldId)) {
+        playerInventories.set(newId, playerInventories.get(oldId));
+        playerInventories.delete(oldId);
+    }
+    
+    // Keep car seats and ownership, and the shots still in flight
+    const world = worlds.get(player.world);
+    if (world) {
+        world.cars.forEach(car => {
+            car.seats = car.seats.map(id => id === oldId ? newId : id);
+            if (car.ownerId === oldId) {
+                car.ownerId = newId;
+            }
+        });
+        world.projectiles.forEach(projectile => {
+            if (projectile.ownerId === oldId) {
+                projectile.ownerId = newId;
+            }
+        });
+    }
+    return player;
+}
+
+// Remove a player from the game entirely
+function removePlayer(socket, playerId) {
+    const player = players.get(playerId);
+    if (player) {
+        leaveWorld(socket, player);
+    }
+    players.delete(playerId);
+    editSessions.delete(playerId);
+    snapshotChunkKeys.delete(playerId);
+    positionHistory.delete(playerId);
+    weaponCooldowns.delete(playerId);
+    movementStates.delete(playerId);
+    playerInventories.delete(playerId);
+    flyingPlayers.delete(playerId); // Remove from flying players
+    voiceChatEnabled.delete(playerId); // Remove from voice chat enabled
+    // Update proximity for remaining players
+    updateVoiceChatProximity();
+}
+
+// Socket event validation - every event a client sends is checked against its schema in
+// EVENT_SCHEMAS and a per-socket token bucket (rate per second, burst) before any handler
+// sees it. Dropped events are strikes: the first gets a warning, and a socket with
+// ABUSE_MAX_STRIKES within ABUSE_STRIKE_WINDOW is disconnected.
+const ABUSE_STRIKE_WINDOW = 10000; // ms
+const ABUSE_MAX_STRIKES = 30;
+const COORDINATE_LIMIT = 1000000; // Furthest a position or block can be from the origin
+
+// Schema building blocks
+const optional = schema => ({ ...schema, optional: true });
+const text = max => ({ type: 'string', max });
+const number = (min = -COORDINATE_LIMIT, max = COORDINATE_LIMIT) => ({ type: 'number', min, max });
+const integer = (min = -COORDINATE_LIMIT, max = COORDINATE_LIMIT) => ({ type: 'number', min, max, integer: true });
+const flag = { type: 'boolean' };
+const vector = { type: 'object', props: { x: number(), y: number(), z: number() } };
+const blockPosition = { x: integer(), y: integer(), z: integer() };
+const blob = maxSize => ({ type: 'any', maxSize }); // Passed along as is, only its size is checked
+const playerIdText = text(64);
+const itemName = { type: 'enum', values: ITEM_IDS };
+const meleeItemName = { type: 'enum', values: ITEM_IDS.filter(id => ITEMS[id].use === 'melee') };
+const rangedItemName = { type: 'enum', values: ITEM_IDS.filter(id => ITEMS[id].use === 'ranged') };
+
+const EVENT_SCHEMAS = {
+    authenticate: { rate: 1, burst: 5, args: [{ type: 'object', props: { username: text(64), password: optional(text(128)), isGuest: optional(flag) } }] },
+    resumeSession: { rate: 1, burst: 5, args: [{ type: 'object', props: { token: text(512) } }] },
+    logout: { rate: 1, burst: 3, args: [] },
+    createAccount: { rate: 0.2, burst: 3, args: [{ type: 'object', props: { username: text(64), password: text(128) } }] },
+    saveCharacter: { rate: 1, burst: 5, args: [] },
+    playerCustomization: { rate: 1, burst: 5, args: [{ type: 'object', props: {
+        name: text(32), color: integer(0, 0xffffff), hat: optional(text(32)), cape: optional(text(32)), world: optional(text(24))
+    } }] },
+    playerMove: { rate: 300, burst: 300, args: [{ type: 'object', props: {
+        position: vector, rotation: vector, headRotation: optional(vector), isSprinting: optional(flag)
+    } }] },
+    chatMessage: { rate: 2, burst: 8, args: [text(500)] },
+    placeBlock: { rate: 20, burst: 40, args: [{ type: 'object', props: {
+        ...blockPosition, type: optional({ type: 'enum', values: Object.keys(BLOCK_TYPES) }), meta: optional({ type: 'object', props: {}, maxSize: 1000 })
+    } }] },
+    removeBlock: { rate: 20, burst: 40, args: [{ type: 'object', props: blockPosition }] },
+    blockUpdate: { rate: 10, burst: 20, args: [{ type: 'object', props: { ...blockPosition, meta: { type: 'object', props: {}, maxSize: 1000 } } }] },
+    placeBlocks: { rate: 0.5, burst: 2, args: [{ type: 'object', props: {
+        blocks: { type: 'array', max: EDIT_MAX_BLOCKS, items: { type: 'object', props: {}, maxSize: 1000 } }
+    } }] },
+    selectCorner: { rate: 10, burst: 20, args: [{ type: 'object', props: { corner: { type: 'enum', values: [1, 2] }, ...blockPosition } }] },
+    playerBatHit: { rate: 5, burst: 5, args: [{ type: 'object', props: {
+        targetId: playerIdText, weapon: optional(meleeItemName), time: optional(number(0, Infinity)), angularVelocities: optional(blob(2000))
+    } }] },
+    playerRagdollAngularVelocities: { rate: 10, burst: 20, args: [{ type: 'object', props: { angularVelocities: blob(2000) } }] },
+    playerRagdoll: { rate: 2, burst: 5, args: [{ type: 'object', props: { reason: text(16), fallDistance: optional(number()) } }] },
+    playerDamage: { rate: 10, burst: 20, args: [{ type: 'object', props: {
+        targetId: playerIdText, weapon: optional(meleeItemName), time: optional(number(0, Infinity)),
+        cause: optional({ type: 'enum', values: ['reset', 'kill', 'damage'] })
+    } }] },
+    playerFireProjectile: { rate: 10, burst: 10, args: [{ type: 'object', props: { item: rangedItemName, direction: vector } }] },
+    playerUseItem: { rate: 1, burst: 2, args: [{ type: 'object', props: { item: itemName } }] },
+    playerRespawned: { rate: 1, burst: 3, args: [{ type: 'object', props: { position: vector } }] },
+    playerEquipItem: { rate: 10, burst: 20, args: [{ type: 'object', props: { item: optional(itemName) } }] },
+    carSpawned: { rate: 1, burst: 3, args: [{ type: 'object', props: { carId: text(64), position: vector, rotation: vector } }] },
+    carUpdate: { rate: 300, burst: 300, args: [{ type: 'object', props: { carId: text(64), position: vector, rotation: vector } }] },
+    carEntry: { rate: 2, burst: 5, args: [{ type: 'object', props: { carId: text(64), seatIndex: integer(0, 3) } }] },
+    carExit: { rate: 2, burst: 5, args: [{ type: 'object', props: { carId: text(64) } }] },
+    playerUseItemSwing: { rate: 5, burst: 10, args: [{ type: 'object', props: { item: meleeItemName } }] },
+    playerSwingArm: { rate: 10, burst: 20, args: [] },
+    playerEmote: { rate: 2, burst: 5, args: [{ type: 'object', props: { emote: optional(text(32)) } }] },
+    playerTyping: { rate: 5, burst: 10, args: [flag] },
+    voiceChatReady: { rate: 1, burst: 5, args: [{ type: 'object', props: { enabled: flag } }] },
+    voiceChatOffer: { rate: 5, burst: 20, args: [{ type: 'object', props: { targetId: playerIdText, offer: blob(20000) } }] },
+    voiceChatAnswer: { rate: 5, burst: 20, args: [{ type: 'object', props: { targetId: playerIdText, answer: blob(20000) } }] },
+    voiceChatIceCandidate: { rate: 50, burst: 100, args: [{ type: 'object', props: { targetId: playerIdText, candidate: blob(2000) } }] }
+};
+
+// Check a value against a schema; returns what is wrong with it, or null
+function checkPayload(schema, value, path) {
+    if (value === undefined || value === null) {
+        return schema.optional ? null : `${path} is missing`;
+    }
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${path} must be text`;
+            if (value.length > schema.max) return `${path} is longer than ${schema.max} characters`;
+            return null;
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value)) return `${path} must be a number`;
+            if (schema.integer && !Number.isInteger(value)) return `${path} must be a whole number`;
+            if (value < schema.min || value > schema.max) return `${path} is out of range`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${path} must be true or false`;
+        case 'enum':
+            return schema.values.includes(value) ? null : `${path} is not allowed`;
+        case 'array':
+            if (!Array.isArray(value)) return `${path} must be a list`;
+            if (value.length > schema.max) return `${path} has more than ${schema.max} entries`;
+            for (let i = 0; i < value.length; i++) {
+                const error = checkPayload(schema.items, value[i], `${path}[${i}]`);
+                if (error) return error;
+            }
+            return null;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+            for (const [key, propSchema] of Object.entries(schema.props)) {
+                const error = checkPayload(propSchema, value[key], `${path}.${key}`);
+                if (error) return error;
+            }
+            if (schema.maxSize && JSON.stringify(value).length > schema.maxSize) return `${path} is too large`;
+            return null;
+        case 'any':
+            return JSON.stringify(value).length > schema.maxSize ? `${path} is too large` : null;
+        default:
+            return null;
+    }
+}
+
+// Socket middleware that drops events that are unknown, malformed or over their rate limit
+function createEventGuard(socket) {
+    const buckets = new Map(); // event -> { tokens, time }
+    let strikes = [];
+    
+    const strike = (event, reason) => {
+        const now = Date.now();
+        strikes = strikes.filter(time => now - time < ABUSE_STRIKE_WINDOW);
+        strikes.push(now);
+        const player = players.get(socket.id);
+        if (strikes.length === 1) {
+            console.log(`Dropped ${event} from ${player ? player.name : socket.id}: ${reason}`);
+            sendSystemMessage(socket, `Your game sent a bad or too frequent request (${event}: ${reason})`);
+        }
+        if (strikes.length >= ABUSE_MAX_STRIKES) {
+            console.log(`Disconnecting ${player ? player.name : socket.id} for flooding (${event}: ${reason})`);
+            auditLog('abuse.disconnect', player, { event, reason });
+            sendSystemMessage(socket, 'You were disconnected for sending too many bad or too frequent requests');
+            socket.disconnect(true);
+        }
+    };
+    
+    return ([event, ...args], next) => {
+        // Events already queued when we disconnected are dropped quietly
+        if (!socket.connected) return;
+        
+        const schema = EVENT_SCHEMAS[event];
+        if (!schema) {
+            strike(event, 'unknown event');
+            return;
+        }
+        
+        // Token bucket - refills at schema.rate per second, up to schema.burst
+        const now = Date.now();
+        const bucket = buckets.get(event) || { tokens: schema.burst, time: now };
+        bucket.tokens = Math.min(schema.burst, bucket.tokens + (now - bucket.time) / 1000 * schema.rate);
+        bucket.time = now;
+        buckets.set(event, bucket);
+        if (bucket.tokens < 1) {
+            strike(event, 'rate limit');
+            return;
+        }
+        bucket.tokens -= 1;
+        
+        if (args.length > schema.args.length) {
+            strike(event, 'unexpected arguments');
+            return;
+        }
+        for (let i = 0; i < schema.args.length; i++) {
+            const error = checkPayload(schema.args[i], args[i], 'payload');
+            if (error) {
+                strike(event, error);
+                return;
+            }
+        }
+        next();
+    };
+}
+
+// Helper function to generate unique ID
+function generateId() {
+    return Math.random().toString(36).substring(2, 15);
+}
+
+io.on('connection', (socket) => {
+    console.log('Player connected:', socket.id);
+    
+    let playerUsername = null;
+    let isGuest = false;
+    let sessionId = null;
+    let loggedOut = false;
+    
+    // Who this connection is, for bans and mutes
+    socket.data.ip = getClientIp(socket);
+    socket.data.fingerprint = typeof socket.handshake.auth.fingerprint === 'string'
+        ? socket.handshake.auth.fingerprint.slice(0, 64)
+        : null;
+    socket.data.username = null;
+    const getIdentity = () => ({ username: playerUsername, ip: socket.data.ip, fingerprint: socket.data.fingerprint });
+    
+    // Check every event before the handlers below see it
+    socket.use(createEventGuard(socket));
+    
+    // Handle authentication
+    socket.on('authenticate', async ({ username, password, isGuest: guest }) => {
+        if (guest) {
+            const ban = findPunishment('bans', { username: null, ip: socket.data.ip, fingerprint: socket.data.fingerprint });
+            if (ban) {
+                socket.emit('authResponse', { success: false, message: describePunishment(ban, 'banned') });
+                return;
+            }
+            isGuest = true;
+            players.get(playerId).role = 'guest';
+            const session = createSession(null, true, playerId);
+            sessionId = session.id;
+            socket.emit('authResponse', {
+                success: true,
+                isGuest: true,
+                username,
+                role: 'guest',
+                permissions: getRolePermissions('guest'),
+                commands: getCommandCatalog('guest'),
+                worlds: getWorldList(),
+                sessionToken: session.token
+            });
+            return;
+        }
+        
+        const account = Object.prototype.hasOwnProperty.call(accounts, username) ? accounts[username] : null;
+        if (account && await verifyPassword(password, account.passwordHash)) {
+            const ban = findPunishment('bans', { username, ip: socket.data.ip, fingerprint: socket.data.fingerprint });
+            if (ban) {
+                socket.emit('authResponse', { success: false, message: describePunishment(ban, 'banned') });
+                return;
+            }
+            
+            // Upgrade old unsalted SHA-256 hashes now that we know the password
+            if (isLegacyHash(account.passwordHash)) {
+                account.passwordHash = await hashPassword(password);
+                saveData();
+                console.log(`Upgraded password hash for ${username}`);
+            }
+            
+            playerUsername = username;
+            socket.data.username = username;
+            const role = getAccountRole(username);
+            players.get(playerId).role = role;
+            const characterData = characters[username] || null;
+            const session = createSession(username, false, playerId);
+            sessionId = session.id;
+            socket.emit('authResponse', { 
+                success: true, 
+                username, 
+                role,
+                permissions: getRolePermissions(role),
+                commands: getCommandCatalog(role),
+                characterData,
+                worlds: getWorldList(),
+                sessionToken: session.token
+            });
+        } else {
+            socket.emit('authResponse', { success: false, message: 'Invalid credentials' });
+        }
+    });
+    
+    // Handle session resume after a dropped connection
+    socket.on('resumeSession', (data) => {
+        const session = verifySessionToken(data && data.token);
+        if (!session) {
+            socket.emit('sessionResumed', { success: false, message: 'Session expired' });
+            return;
+        }
+        
+        const ban = findPunishment('bans', { username: session.username, ip: socket.data.ip, fingerprint: socket.data.fingerprint });
+        if (ban) {
+            revokeSession(session.id);
+            socket.emit('sessionResumed', { success: false, banned: true, message: describePunishment(ban, 'banned') });
+            return;
+        }
+        
+        // The session's player is still connected - only a player held after a dropped connection can be taken over
+        const oldId = session.playerId;
+        const oldSocket = oldId && oldId !== playerId ? io.sockets.sockets.get(oldId) : null;
+        if (oldSocket && oldSocket.connected) {
+            socket.emit('sessionResumed', { success: false, inUse: true, message: 'Session is still connected' });
+            return;
+        }
+        const heldPlayer = oldId && oldId !== playerId && session.removalTimer ? players.get(oldId) : null;
+        
+        // Restore authentication from the session
+        sessionId = session.id;
+        playerUsername = session.username;
+        socket.data.username = session.username;
+        isGuest = session.isGuest;
+        const role = isGuest ? 'guest' : getAccountRole(playerUsername);
+        
+        if (session.removalTimer) {
+            clearTimeout(session.removalTimer);
+            session.removalTimer = null;
+        }
+        session.playerId = playerId;
+        
+        if (!heldPlayer || !heldPlayer.world) {
+            // Nothing to restore (grace period over) - the client rejoins with playerCustomization
+            players.get(playerId).role = role;
+            socket.emit('sessionResumed', {
+                success: true,
+                restored: false,
+                username: playerUsername,
+                isGuest,
+                role,
+                permissions: getRolePermissions(role),
+                commands: getCommandCatalog(role)
+            });
+            return;
+        }
+        
+        // Take over the held player: replace this socket's fresh player with it
+        players.delete(playerId);
+        const player = transferPlayer(oldId, playerId);
+        player.role = role;
+        const world = worlds.get(player.world);
+        socket.join(world.room);
+        socket.to(world.room).emit('playerIdChanged', { oldId, newId: playerId });
+        
+        socket.emit('sessionResumed', {
+            success: true,
+            restored: true,
+            username: playerUsername,
+            isGuest,
+            role,
+            permissions: getRolePermissions(role),
+            commands: getCommandCatalog(role),
+            flying: flyingPlayers.has(playerId),
+            player: {
+                world: player.world,
+                position: player.position,
+                rotation: player.rotation,
+                health: player.health !== undefined ? player.health : 100,
+                equippedItem: player.equippedItem || null,
+                inCar: player.inCar || null,
+                carSeatIndex: player.carSeatIndex !== undefined ? player.carSeatIndex : null
+            }
+        });
+        sendGameState(socket, player, world);
+        console.log(`${player.name} resumed their session`);
+    });
+    
+    // Handle logout - revoke the session so the token can't be reused
+    socket.on('logout', () => {
+        if (sessionId) {
+            revokeSession(sessionId);
+            sessionId = null;
+        }
+        loggedOut = true;
+    });
+    
+    // Handle account creation
+    socket.on('createAccount', async ({ username, password }) => {
+        if (typeof username !== 'string' || typeof password !== 'string' || !username) {
+            socket.emit('createAccountResponse', { success: false, message: 'Invalid username or password' });
+            return;
+        }
+        if (Object.prototype.hasOwnProperty.call(accounts, username)) {
+            socket.emit('createAccountResponse', { success: false, message: 'Username already exists' });
+            return;
+        }
+        // Banned guests can't get around the ban with a new account
+        const ban = findPunishment('bans', { username: null, ip: socket.data.ip, fingerprint: socket.data.fingerprint });
+        if (ban) {
+            socket.emit('createAccountResponse', { success: false, message: describePunishment(ban, 'banned') });
+            return;
+        }
+        
+        const passwordHash = await hashPassword(password);
+        // Check again - another request may have taken the name while hashing
+        if (accounts[username]) {
+            socket.emit('createAccountResponse', { success: false, message: 'Username already exists' });
+            return;
+        }
+        accounts[username] = {
+            passwordHash,
+            role: DEFAULT_ROLE
+        };
+        saveData();
+        socket.emit('createAccountResponse', { success: true, message: 'Account created successfully' });
+    });
+    
+    // Handle character save
+    socket.on('saveCharacter', () => {
+        if (playerUsername && !isGuest) {
+            const player = players.get(socket.id);
+            if (player) {
+                characters[playerUsername] = {
+                    ...characters[playerUsername], // Keeps the saved inventories
+                    color: player.color,
+                    hat: player.hat,
+                    cape: player.cape || 'none',
+                    position: player.position
+                };
+                storeInventories(player);
+                saveData();
+            }
+        }
+    });
+    
+    // Create new player (will be updated with customization)
+    const playerId = socket.id;
+    players.set(playerId, {
+        id: playerId,
+        name: 'Player',
+        username: null, // Will be set during authentication/customization
+        position: { x: 0, y: 5, z: 0 },
+        rotation: { x: 0, y: 0, z: 0 },
+        headRotation: { x: 0, y: 0, z: 0 },
+        color: 0x0066ff,
+        hat: 'none',
+        role: 'guest', // Set during authentication
+        world: null // Set when the player joins a world
+    });
+
+    // Handle player customization
+    socket.on('playerCustomization', (data) => {
+        const ban = findPunishment('bans', getIdentity());
+        if (ban) {
+            socket.emit('banned', { message: describePunishment(ban, 'banned') });
+            socket.disconnect(true);
+            return;
+        }
+        const player = players.get(playerId);
+        if (player) {
+            player.name = data.name || 'Player';
+            player.username = playerUsername; // Store username for command lookups
+            player.color = data.color || 0x0066ff;
+            player.hat = data.hat || 'none';
+            player.cape = data.cape || 'none';
+            
+            // Load saved position if available
+            if (playerUsername && characters[playerUsername] && characters[playerUsername].position) {
+                player.position = characters[playerUsername].position;
+            }
+            
+            // Join the requested world (falls back to the default world)
+            const world = worlds.get(data.world) || worlds.get(DEFAULT_WORLD);
+            joinWorld(socket, player, world);
+        }
+    });
+
+    // Handle player movement
+    socket.on('playerMove', (data) => {
+        const player = players.get(playerId);
+        if (player) {
+            // Don't accept position updates from dead players
+            if (player.health !== undefined && player.health <= 0) {
+                return; // Reject movement updates from dead players
+            }
+            const world = getPlayerWorld(playerId);
+            if (!world) return;
+            if (isAwaitingCorrection(player, data.position)) return;
+            const reason = checkMove(world, player, data.position);
+            if (reason) {
+                correctMove(socket, player, reason);
+                return;
+            }
+            player.position = data.position;
+            player.rotation = data.rotation;
+            player.headRotation = data.headRotation || { x: 0, y: 0, z: 0 };
+            player.isSprinting = data.isSprinting || false;
+            player.movedAt = Date.now(); // Sent to others with the next snapshots, see sendSnapshots
+            recordPosition(player);
+            updatePlayerChunks(socket, player, world);
+        }
+    });
+
+    // Handle chat messages and commands
+    socket.on('chatMessage', (message) => {
+        const player = players.get(playerId);
+        if (player && message.trim()) {
+            // Check if it's a command (starts with /)
+            if (message.startsWith('/')) {
+                handleCommand(socket, playerId, player, message);
+                return; // Don't broadcast commands as chat messages
+            }
+            
+            const mute = findPunishment('mutes', getIdentity());
+            if (mute) {
+                sendSystemMessage(socket, describePunishment(mute, 'muted'));
+                return;
+            }
+            
+            const chatData = {
+                id: playerId,
+                name: player.name,
+                username: player.name,
+                message: message,
+                timestamp: new Date().toLocaleTimeString()
+            };
+            emitToWorld(playerId, 'chatMessage', chatData);
+        }
+    });
+
+    // Undo a client's optimistic block change by sending back the server's copy of the block
+    const rejectBlockChange = (world, data, message) => {
+        const block = world.blocks.get(`${data.x},${data.y},${data.z}`);
+        if (block) {
+            socket.emit('blockPlaced', block);
+            socket.emit('blockUpdated', { key: `${block.x},${block.y},${block.z}`, ...block });
+        } else {
+            socket.emit('blockRemoved', { x: data.x, y: data.y, z: data.z });
+        }
+        if (message) {
+            sendSystemMessage(socket, message);
+        }
+    };
+    
+    // Check permissions and land claims before a block change; rolls it back if not allowed
+    const canChangeBlock = (world, data, permission) => {
+        const player = players.get(playerId);
+        if (!hasPermission(player.role, permission)) {
+            rejectBlockChange(world, data, permission === 'block.hazard'
+                ? `You do not have permission to place ${data.type} blocks`
+                : 'You do not have permission to build');
+            return false;
+        }
+        const claim = getBlockingClaim(world, player, data.x, data.z);
+        if (claim) {
+            rejectBlockChange(world, data, `This area is claimed by ${claim.owner}`);
+            return false;
+        }
+        return true;
+    };
+
+    // Handle block placement
+    socket.on('placeBlock', (data) => {
+        const world = getPlayerWorld(playerId);
+        if (!world) return;
+        const blockKey = `${data.x},${data.y},${data.z}`;
+        const permission = HAZARD_BLOCK_TYPES.includes(data.type) ? 'block.hazard' : 'block.build';
+        if (!canChangeBlock(world, data, permission)) return;
+        if (!world.blocks.has(blockKey)) {
+            const block = createBlockRecord(data.x, data.y, data.z, data.type || 'dirt', data.meta);
+            setWorldBlock(world, blockKey, block);
+            world.dirty = true;
+            recordBlockChange(world, players.get(playerId), blockKey, null, block);
+            emitToChunk(world, block.x, block.z, 'blockPlaced', block);
+            auditLog('block.place', players.get(playerId), { x: block.x, y: block.y, z: block.z, type: block.type });
+        }
+    });
+
+    // Handle block removal
     socket.on('removeBlock', (data) => {
+        const world = getPlayerWorld(playerId);
+        if (!world) return;
         const blockKey = `${data.x},${data.y},${data.z}`;
-        if (blocks.has(blockKey)) {
-            blocks.delete(blockKey);
-            io.emit('blockRemoved', data);
+        if (!canChangeBlock(world, data, 'block.build')) return;
+        if (world.blocks.has(blockKey)) {
+            const block = world.blocks.get(blockKey);
+            deleteWorldBlock(world, blockKey);
+            world.dirty = true;
+            recordBlockChange(world, players.get(playerId), blockKey, block, null);
+            emitToChunk(world, block.x, block.z, 'blockRemoved', { x: block.x, y: block.y, z: block.z });
+            auditLog('block.remove', players.get(playerId), { x: block.x, y: block.y, z: block.z, type: block.type });
         }
     });
     
-    // Handle block updates (door state, sign messages)
+    // Handle block metadata updates (door state, sign messages, ...)
     socket.on('blockUpdate', (data) => {
+        const world = getPlayerWorld(playerId);
+        if (!world) return;
         const blockKey = `${data.x},${data.y},${data.z}`;
-        const block = blocks.get(blockKey);
-        if (block) {
-            if (data.type === 'door') {
-                block.isOpen = data.isOpen || false;
-            } else if (data.type === 'sign') {
-                block.message = data.message || '';
-            }
-            // Broadcast update to all clients (including x, y, z for compatibility)
-            io.emit('blockUpdated', { 
-                key: blockKey, 
-                x: block.x, 
-                y: block.y, 
+        const block = world.blocks.get(blockKey);
+        if (block && BLOCK_METADATA[block.type]) {
+            if (!canChangeBlock(world, data, 'block.build')) return;
+            const before = createBlockRecord(block.x, block.y, block.z, block.type, block.meta);
+            block.meta = buildBlockMeta(block.type, data.meta, block.meta);
+            world.dirty = true;
+            recordBlockChange(world, players.get(playerId), blockKey, before, block);
+            // Send the block's full metadata to all clients that have its chunk loaded
+            emitToChunk(world, block.x, block.z, 'blockUpdated', {
+                key: blockKey,
+                x: block.x,
+                y: block.y,
                 z: block.z,
-                type: data.type,
-                isOpen: data.type === 'door' ? block.isOpen : undefined,
-                message: data.type === 'sign' ? block.message : undefined
+                type: block.type,
+                meta: block.meta
             });
+            auditLog('block.update', players.get(playerId), { x: block.x, y: block.y, z: block.z, type: block.type, meta: block.meta });
+        }
+    });
+
+    // Place many blocks at once (blueprints and imported models), only into empty spots.
+    // Blocks we may not place (claims, hazard blocks) are left out and counted.
+    socket.on('placeBlocks', (data) => {
+        const world = getPlayerWorld(playerId);
+        const player = players.get(playerId);
+        if (!world || !data || !Array.isArray(data.blocks)) return;
+        if (!hasPermission(player.role, 'block.build')) {
+            sendSystemMessage(socket, 'You do not have permission to build');
+            return;
+        }
+        if (data.blocks.length > EDIT_MAX_BLOCKS) {
+            sendSystemMessage(socket, `Too many blocks (${data.blocks.length}, the limit is ${EDIT_MAX_BLOCKS})`);
+            return;
+        }
+        
+        const updates = new Map();
+        let skipped = 0;
+        data.blocks.forEach(block => {
+            if (!block || ![block.x, block.y, block.z].every(Number.isInteger) || !EDIT_BLOCK_TYPES.includes(block.type)) {
+                skipped++;
+                return;
+            }
+            const key = `${block.x},${block.y},${block.z}`;
+            if (world.blocks.has(key) || updates.has(key)) return;
+            if ((HAZARD_BLOCK_TYPES.includes(block.type) && !hasPermission(player.role, 'block.hazard'))
+                || getBlockingClaim(world, player, block.x, block.z)) {
+                skipped++;
+                return;
+            }
+            updates.set(key, createBlockRecord(block.x, block.y, block.z, block.type, block.meta));
+        });
+        
+        const applied = setBlocks(world, player, updates);
+        if (applied.length > 0) {
+            const first = applied[0].after;
+            auditLog('block.batch', player, { x: first.x, y: first.y, z: first.z, count: applied.length });
+        }
+        sendSystemMessage(socket, `Placed ${applied.length} blocks`
+            + (skipped > 0 ? ` (${skipped} skipped: claimed area or no permission)` : ''));
+    });
+
+    // Selection wand click - corner is 1 or 2
+    socket.on('selectCorner', (data) => {
+        const player = players.get(playerId);
+        if (!player || !player.world || !data) return;
+        if (!hasPermission(player.role, 'command.edit')) {
+            sendSystemMessage(socket, 'You do not have permission to use the wand');
+            return;
         }
+        const position = { x: data.x, y: data.y, z: data.z };
+        if (![1, 2].includes(data.corner) || !Object.values(position).every(Number.isInteger)) return;
+        setEditCorner(socket, player, data.corner, position);
     });
 
     // Handle baseball bat hit - launch player and trigger ragdoll
@@ -299,12 +2067,22 @@ io.on('connection', (socket) => {
         const target = players.get(data.targetId);
         
         if (attacker && target && attacker.id !== target.id) {
-            // Broadcast bat hit to all clients (no damage, just ragdoll)
+            const weaponName = data.weapon || 'baseballbat';
+            const reason = MELEE_WEAPONS[weaponName] && !MELEE_WEAPONS[weaponName].launch
+                ? `${weaponName} does not launch`
+                : validateMeleeHit(attacker, target, weaponName, data.time);
+            if (reason) {
+                rejectMeleeHit(attacker, target, weaponName, reason);
+                return;
+            }
+            // Broadcast bat hit to all clients (no damage, just ragdoll), launched the way the attacker faces
             // Include angular velocities if provided for synced ragdoll animation
-            io.emit('playerBatHit', {
+            const facing = attacker.rotation ? attacker.rotation.y : 0;
+            getMovementState(target).exemptUntil = Date.now() + MOVE_RAGDOLL_TIME;
+            emitToWorld(playerId, 'playerBatHit', {
                 targetId: target.id,
                 attackerId: attacker.id,
-                launchDirection: data.launchDirection,
+                launchDirection: { x: Math.sin(facing), y: 0.7, z: Math.cos(facing) },
                 angularVelocities: data.angularVelocities || null
             });
         }
@@ -313,7 +2091,7 @@ io.on('connection', (socket) => {
     // Handle ragdoll angular velocities sync
     socket.on('playerRagdollAngularVelocities', (data) => {
         // Broadcast to all other clients for consistent ragdoll animation
-        socket.broadcast.emit('playerRagdollAngularVelocities', {
+        broadcastToWorld(socket, 'playerRagdollAngularVelocities', {
             playerId: playerId,
             angularVelocities: data.angularVelocities
         });
@@ -324,7 +2102,7 @@ io.on('connection', (socket) => {
         const player = players.get(playerId);
         if (player) {
             // Broadcast ragdoll state to all clients
-            io.emit('playerRagdoll', {
+            emitToWorld(playerId, 'playerRagdoll', {
                 playerId: player.id,
                 reason: data.reason,
                 fallDistance: data.fallDistance
@@ -337,98 +2115,72 @@ io.on('connection', (socket) => {
         const attacker = players.get(playerId);
         const target = players.get(data.targetId);
         
-        // Allow normal hits (attacker !== target) and explicit self-damage (for reset)
-        if (attacker && target && (attacker.id !== target.id || data.allowSelf)) {
-            // Initialize health if not set
-            if (target.health === undefined) {
-                target.health = 100;
-            }
-            
-            // Apply damage
-            target.health = Math.max(0, target.health - (data.damage || 25));
-            
-            // Broadcast damage event
-            io.emit('playerDamaged', {
-                playerId: target.id,
-                attackerId: attacker.id,
-                damage: data.damage || 25,
-                health: target.health
-            });
-            
-            // If player died, broadcast death event with synced cube data
-            if (target.health <= 0) {
-                // Generate cube data for sync
-                const cubeData = [];
-                for (let i = 0; i < 30; i++) {
-                    // Better explosion spread - distribute cubes in a circle
-                    const angle = (Math.PI * 2 * i) / 30;
-                    const radius = 0.3 + Math.random() * 0.4;
-                    const verticalAngle = (Math.random() - 0.3) * Math.PI * 0.4;
-                    
-                    cubeData.push({
-                        size: 0.3 + Math.random() * 0.3, // Doubled size
-                        offset: {
-                            x: (Math.random() - 0.5) * 0.5,
-                            y: Math.random() * 0.3,
-                            z: (Math.random() - 0.5) * 0.5
-                        },
-                        velocity: {
-                            x: Math.cos(angle) * radius * (6 + Math.random() * 4),
-                            y: Math.sin(verticalAngle) * (5 + Math.random() * 5) + 3,
-                            z: Math.sin(angle) * radius * (6 + Math.random() * 4)
-                        }
-                    });
+        // Allow weapon hits on others and self-damage with a cause (reset, kill and damage blocks)
+        if (attacker && target && (attacker.id !== target.id || data.cause)) {
+            // Hits on others are checked here and do the weapon's damage
+            let damage;
+            if (attacker.id === target.id) {
+                if (data.cause !== 'reset' && !isTouchingBlockType(worlds.get(target.world), target.position, data.cause)) return;
+                damage = SELF_DAMAGE[data.cause];
+            } else {
+                const weaponName = data.weapon || 'sword';
+                const reason = validateMeleeHit(attacker, target, weaponName, data.time);
+                if (reason) {
+                    rejectMeleeHit(attacker, target, weaponName, reason);
+                    return;
                 }
-                
-                io.emit('playerDied', {
-                    playerId: target.id,
-                    attackerId: attacker.id,
-                    deathPosition: target.position,
-                    cubeData: cubeData
-                });
-                // Reset health and position after 5 seconds
-                setTimeout(() => {
-                    target.health = 100;
-                    target.position = { x: 0, y: 5, z: 0 };
-                    io.emit('playerRespawned', {
-                        playerId: target.id,
-                        position: { x: 0, y: 5, z: 0 }
-                    });
-                }, 5000);
+                damage = MELEE_WEAPONS[weaponName].damage;
+                if (damage <= 0) return;
             }
             
-            console.log(`${attacker.name} hit ${target.name} for ${data.damage || 25} damage. ${target.name} health: ${target.health}`);
+            damagePlayer(target, attacker.id, damage);
+            console.log(`${attacker.name} hit ${target.name} for ${damage} damage. ${target.name} health: ${target.health}`);
         }
     });
 
-    // Handle player healing
-    socket.on('playerHeal', (data) => {
+    // Handle eating or drinking an item - it must be in the inventory, and consumables are used up
+    socket.on('playerUseItem', (data) => {
         const player = players.get(playerId);
-        if (player) {
-            // Initialize health if not set
-            if (player.health === undefined) {
-                player.health = 100;
-            }
-            
-            // Apply healing (use the health value from client, but cap at max)
-            player.health = Math.min(100, data.health || player.health);
-            
-            // Broadcast health update to all players
-            io.emit('playerHealthUpdate', {
-                playerId: player.id,
-                health: player.health
-            });
-            
-            console.log(`${player.name} healed to ${player.health} health`);
+        if (!player || !player.world) return;
+        const item = ITEMS[data.item];
+        if (item.use !== 'heal' || !hasItem(player, data.item) || player.health <= 0) {
+            sendInventory(socket, player); // Put the client's inventory right
+            return;
         }
+        if (item.consumable) {
+            takeItem(player, data.item);
+            checkEquippedItem(socket, player);
+        }
+        
+        // Initialize health if not set
+        if (player.health === undefined) {
+            player.health = 100;
+        }
+        player.health = Math.min(100, player.health + item.heal);
+        
+        // Broadcast health update to all players
+        emitToWorld(playerId, 'playerHealthUpdate', {
+            playerId: player.id,
+            health: player.health
+        });
+        sendInventory(socket, player);
+        console.log(`${player.name} used ${data.item}, healed to ${player.health} health`);
     });
 
     // Handle player respawn
     socket.on('playerRespawned', (data) => {
         const player = players.get(playerId);
-        if (player) {
+        const world = getPlayerWorld(playerId);
+        if (player && world) {
+            // Respawns come from the server (see killPlayer), so this is checked like any move
+            const reason = checkMove(world, player, data.position);
+            if (reason) {
+                correctMove(socket, player, reason);
+                return;
+            }
             player.position = data.position;
-            socket.broadcast.emit('playerRespawned', {
+            positionHistory.delete(playerId);
+            broadcastToWorld(socket, 'playerRespawned', {
                 playerId: playerId,
                 position: data.position
             });
@@ -439,8 +2191,13 @@ io.on('connection', (socket) => {
     socket.on('playerEquipItem', (data) => {
         const player = players.get(playerId);
         if (player) {
-            player.equippedItem = data.item;
-            socket.broadcast.emit('playerEquippedItem', {
+            // Only items the player has can be held
+            if (data.item && !hasItem(player, data.item)) {
+                sendInventory(socket, player);
+                return;
+            }
+            player.equippedItem = data.item || null;
+            broadcastToWorld(socket, 'playerEquippedItem', {
                 playerId: playerId,
                 item: data.item
             });
@@ -449,6 +2206,19 @@ io.on('connection', (socket) => {
     
     // Handle car spawn
     socket.on('carSpawned', (data) => {
+        const world = getPlayerWorld(playerId);
+        if (!world) return;
+        if (!hasPermission(players.get(playerId).role, 'car.spawn')) {
+            // Undo the client's optimistic spawn
+            socket.emit('carRemoved', { carId: data.carId });
+            sendSystemMessage(socket, 'You do not have permission to spawn cars');
+            return;
+        }
+        if (!getInventory(players.get(playerId)).some(slot => ITEMS[slot.item].use === 'spawnCar')) {
+            socket.emit('carRemoved', { carId: data.carId });
+            sendSystemMessage(socket, 'You need a car in your inventory to spawn one');
+            return;
+        }
         const carData = {
             carId: data.carId,
             position: data.position,
@@ -456,33 +2226,48 @@ io.on('connection', (socket) => {
             ownerId: playerId,
             seats: [null, null, null, null]
         };
-        cars.set(data.carId, carData);
-        socket.broadcast.emit('carSpawned', carData);
+        world.cars.set(data.carId, carData);
+        socket.to(world.room).emit('carSpawned', carData);
+        auditLog('car.spawn', players.get(playerId), { carId: data.carId, ...roundPosition(data.position) });
     });
     
-    // Handle car update (position/rotation)
+    // Handle car update (position/rotation) - only the driver moves a car
     socket.on('carUpdate', (data) => {
-        const car = cars.get(data.carId);
-        if (car) {
+        const world = getPlayerWorld(playerId);
+        const car = world ? world.cars.get(data.carId) : null;
+        if (car && car.seats[0] === playerId) {
             car.position = data.position;
             car.rotation = data.rotation;
-            socket.broadcast.emit('carUpdated', {
-                carId: data.carId,
-                position: data.position,
-                rotation: data.rotation
-            });
+            car.updatedAt = Date.now(); // Sent with the next snapshots, see sendSnapshots
         }
     });
     
-    // Handle player entering car
+    // Handle player entering car - they must be next to it, and the seat free
     socket.on('carEntry', (data) => {
-        const car = cars.get(data.carId);
+        const world = getPlayerWorld(playerId);
+        const car = world ? world.cars.get(data.carId) : null;
         const player = players.get(playerId);
         if (car && player && data.seatIndex >= 0 && data.seatIndex < 4) {
+            const reject = (message) => socket.emit('carEntryRejected', { carId: data.carId, message });
+            if (player.inCar) {
+                reject('You are already in a car');
+                return;
+            }
+            const dx = player.position.x - car.position.x;
+            const dy = player.position.y - car.position.y;
+            const dz = player.position.z - car.position.z;
+            if (Math.sqrt(dx * dx + dy * dy + dz * dz) > CAR_ENTRY_RANGE) {
+                reject('You are too far away from that car');
+                return;
+            }
+            if (car.seats[data.seatIndex]) {
+                reject('That seat is taken');
+                return;
+            }
             car.seats[data.seatIndex] = playerId;
             player.inCar = data.carId;
             player.carSeatIndex = data.seatIndex;
-            socket.broadcast.emit('playerEnteredCar', {
+            socket.to(world.room).emit('playerEnteredCar', {
                 playerId: playerId,
                 carId: data.carId,
                 seatIndex: data.seatIndex
@@ -492,7 +2277,8 @@ io.on('connection', (socket) => {
     
     // Handle player exiting car
     socket.on('carExit', (data) => {
-        const car = cars.get(data.carId);
+        const world = getPlayerWorld(playerId);
+        const car = world ? world.cars.get(data.carId) : null;
         const player = players.get(playerId);
         if (car && player && player.inCar === data.carId) {
             if (car.seats[player.carSeatIndex] === playerId) {
@@ -500,7 +2286,7 @@ io.on('connection', (socket) => {
             }
             player.inCar = null;
             player.carSeatIndex = null;
-            socket.broadcast.emit('playerExitedCar', {
+            socket.to(world.room).emit('playerExitedCar', {
                 playerId: playerId,
                 carId: data.carId
             });
@@ -509,15 +2295,25 @@ io.on('connection', (socket) => {
 
     // Handle player using an item that has a swing animation (sword, baseball bat)
     socket.on('playerUseItemSwing', (data) => {
-        socket.broadcast.emit('playerUseItemSwing', {
+        broadcastToWorld(socket, 'playerUseItemSwing', {
             playerId: playerId,
             item: data.item
         });
     });
 
+    // Handle player firing a ranged weapon - the projectile is launched and simulated here
+    socket.on('playerFireProjectile', (data) => {
+        const player = players.get(playerId);
+        if (!player) return;
+        const reason = fireProjectile(player, data.item, data.direction);
+        if (reason) {
+            console.log(`Rejected ${data.item} shot by ${player.name}: ${reason}`);
+        }
+    });
+
     // Handle player arm swing (for block placement/destruction)
     socket.on('playerSwingArm', () => {
-        socket.broadcast.emit('playerSwungArm', {
+        broadcastToWorld(socket, 'playerSwungArm', {
             playerId: playerId
         });
     });
@@ -528,7 +2324,7 @@ io.on('connection', (socket) => {
         const player = players.get(playerId);
         if (player) {
             // Broadcast emote to all other players
-            socket.broadcast.emit('playerEmote', {
+            broadcastToWorld(socket, 'playerEmote', {
                 id: playerId,
                 emote: data.emote || null
             });
@@ -536,7 +2332,7 @@ io.on('connection', (socket) => {
     });
     
     socket.on('playerTyping', (isTyping) => {
-        socket.broadcast.emit('playerTyping', {
+        broadcastToWorld(socket, 'playerTyping', {
             playerId: playerId,
             isTyping: isTyping
         });
@@ -585,15 +2381,26 @@ io.on('connection', (socket) => {
     });
     
     // Handle player disconnect
-    socket.on('disconnect', () => {
+    socket.on('disconnect', (reason) => {
         console.log('Player disconnected:', socket.id);
-        players.delete(playerId);
-        flyingPlayers.delete(playerId); // Remove from flying players
-        adminStatus.delete(playerId); // Remove admin status
-        voiceChatEnabled.delete(playerId); // Remove from voice chat enabled
-        socket.broadcast.emit('playerLeft', playerId);
-        // Update proximity for remaining players
-        updateVoiceChatProximity();
+        const session = sessionId ? sessions.get(sessionId) : null;
+        const player = players.get(playerId);
+        
+        // Hold in-game players for a grace period so they can resume their session
+        if (session && session.playerId === playerId && player && player.world &&
+            !loggedOut && DROPPED_CONNECTION_REASONS.includes(reason)) {
+            session.removalTimer = setTimeout(() => {
+                session.removalTimer = null;
+                removePlayer(socket, playerId);
+            }, RECONNECT_GRACE_PERIOD);
+            return;
+        }
+        
+        // A kicked player's session ends with the connection
+        if (session && reason === 'server namespace disconnect' && session.playerId === playerId) {
+            revokeSession(session.id);
+        }
+        removePlayer(socket, playerId);
     });
 });
 
@@ -618,6 +2425,7 @@ function updateVoiceChatProximity() {
             
             const otherPlayer = players.get(otherPlayerId);
             if (!otherPlayer || !otherPlayer.position) return;
+            if (otherPlayer.world !== player.world) return; // Only players in the same world can hear each other
             
             // Calculate distance between players
             const dx = player.position.x - otherPlayer.position.x;
@@ -646,622 +2454,1793 @@ setInterval(() => {
     updateVoiceChatProximity();
 }, 500);
 
-// Command handler
-function handleCommand(socket, playerId, player, message, isAdmin) {
-    const args = message.trim().split(/\s+/);
-    const command = args[0].toLowerCase();
+// Send a chat message from "System" to one player
+function sendSystemMessage(socket, message) {
+    socket.emit('chatMessage', {
+        id: 'system',
+        name: 'System',
+        username: 'System',
+        message,
+        timestamp: new Date().toLocaleTimeString()
+    });
+}
+
+// Change a registered player's role (used by /role set and /admin)
+function assignRole(socket, player, targetUsername, newRole) {
+    // Check if account exists
+    if (!Object.prototype.hasOwnProperty.call(accounts, targetUsername)) {
+        sendSystemMessage(socket, `Account "${targetUsername}" not found. Player must be registered (not a guest).`);
+        return;
+    }
     
-    // Get current admin status (check Map first, then fall back to accounts)
-    const currentAdminStatus = adminStatus.get(playerId) || isAdmin;
+    const targetRole = getAccountRole(targetUsername);
+    if (!canAssignRole(player.role, targetRole, newRole)) {
+        sendSystemMessage(socket, `You cannot change ${targetUsername} (${targetRole}) to ${newRole}`);
+        return;
+    }
     
-    switch(command) {
-        case '/help':
-            const helpData = {
-                isAdmin: currentAdminStatus
-            };
-            console.log('Sending showHelpWindow to client:', helpData);
-            socket.emit('showHelpWindow', helpData);
-            break;
-            
-        case '/fly':
-            if (!currentAdminStatus) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'You do not have permission to use this command',
-                    timestamp: new Date().toLocaleTimeString()
+    accounts[targetUsername].role = newRole;
+    saveData(); // Save to file
+    
+    // If player is currently online, update their role for this session
+    for (const [id, p] of players.entries()) {
+        if (p.username === targetUsername) {
+            p.role = newRole;
+            const targetSocket = io.sockets.sockets.get(id);
+            if (targetSocket) {
+                targetSocket.emit('roleChanged', {
+                    role: newRole,
+                    permissions: getRolePermissions(newRole),
+                    commands: getCommandCatalog(newRole)
                 });
-                return;
+                // Take away fly mode if the new role can't use it
+                if (flyingPlayers.has(id) && !hasPermission(newRole, 'command.fly')) {
+                    flyingPlayers.delete(id);
+                    targetSocket.emit('flyStateChanged', { enabled: false });
+                }
+            }
+        }
+    }
+    
+    console.log(`${player.name} changed ${targetUsername}'s role from ${targetRole} to ${newRole}`);
+    sendSystemMessage(socket, `${targetUsername} is now ${newRole}`);
+}
+
+// Damage players do to themselves, by cause - the server decides how much
+const SELF_DAMAGE = {
+    reset: 100, // Kills (health is at most 100)
+    kill: 100, // Kill block
+    damage: 25 // Damage block
+};
+
+// Whether a player here is touching a block of this type (with a block of slack for lag)
+function isTouchingBlockType(world, position, type) {
+    if (!world || !position) return false;
+    const feetY = Math.floor(position.y - 0.3);
+    for (let x = Math.round(position.x) - 1; x <= Math.round(position.x) + 1; x++) {
+        for (let z = Math.round(position.z) - 1; z <= Math.round(position.z) + 1; z++) {
+            for (let y = feetY - 1; y <= feetY + 2; y++) {
+                const block = world.blocks.get(`${x},${y},${z}`);
+                if (block && block.type === type) return true;
+            }
+        }
+    }
+    return false;
+}
+
+// Take health from a player and tell their world; at 0 health they die
+function damagePlayer(target, attackerId, damage) {
+    if (target.health === undefined) {
+        target.health = 100;
+    }
+    target.health = Math.max(0, target.health - damage);
+    
+    // Broadcast damage event
+    emitToWorld(target.id, 'playerDamaged', {
+        playerId: target.id,
+        attackerId,
+        damage,
+        health: target.health
+    });
+    
+    // If player died, broadcast death event with synced cube data
+    if (target.health <= 0) {
+        killPlayer(target, attackerId);
+    }
+}
+
+// Kill a player and respawn them after 5 seconds
+function killPlayer(target, attackerId) {
+    target.health = 0;
+    const attacker = players.get(attackerId);
+    auditLog('death', target, { killer: attacker ? attacker.name : null, ...roundPosition(target.position) });
+    
+    // Generate cube data for death explosion
+    const cubeData = [];
+    for (let i = 0; i < 30; i++) {
+        const angle = (Math.PI * 2 * i) / 30;
+        const radius = 0.3 + Math.random() * 0.4;
+        const verticalAngle = (Math.random() - 0.3) * Math.PI * 0.4;
+        
+        cubeData.push({
+            size: 0.3 + Math.random() * 0.3,
+            offset: {
+                x: (Math.random() - 0.5) * 0.5,
+                y: Math.random() * 0.3,
+                z: (Math.random() - 0.5) * 0.5
+            },
+            velocity: {
+                x: Math.cos(angle) * radius * (6 + Math.random() * 4),
+                y: Math.sin(verticalAngle) * (5 + Math.random() * 5) + 3,
+                z: Math.sin(angle) * radius * (6 + Math.random() * 4)
+            }
+        });
+    }
+    
+    emitToWorld(target.id, 'playerDied', {
+        playerId: target.id,
+        attackerId,
+        deathPosition: target.position,
+        cubeData: cubeData
+    });
+    
+    setTimeout(() => {
+        target.health = 100;
+        target.position = { x: 0, y: 5, z: 0 };
+        positionHistory.delete(target.id); // Don't rewind hits to before the respawn
+        resetMovement(target);
+        emitToWorld(target.id, 'playerRespawned', {
+            playerId: target.id,
+            position: { x: 0, y: 5, z: 0 }
+        });
+    }, 5000);
+}
+
+// Inventories - the server owns what every player carries, per world: the first time a
+// player enters a world they get its starter kit (STARTING_ITEMS unless set with /kit).
+// Registered players' inventories are saved in characters.json, guests' last until they
+// leave. Clients get their inventory with inventoryUpdate and it changes only here.
+const playerInventories = new Map(); // playerId -> { worldName: [{ item, count }] }
+
+// Keep only slots of known items with a sensible count (saves and kits can be out of date)
+function sanitizeSlots(slots) {
+    if (!Array.isArray(slots)) return [];
+    return slots
+        .filter(slot => slot && ITEMS[slot.item] && Number.isInteger(slot.count) && slot.count > 0)
+        .slice(0, INVENTORY_SLOTS)
+        .map(slot => ({ item: slot.item, count: Math.min(slot.count, ITEMS[slot.item].stack || 1) }));
+}
+
+function getStarterKit(world) {
+    return world.starterKit || STARTING_ITEMS;
+}
+
+// Set a world's starter kit (null for the default); saved with the world
+function setStarterKit(world, kit) {
+    world.starterKit = kit;
+    world.dirty = true;
+}
+
+// The player's inventory in their current world
+function getInventory(player) {
+    const world = worlds.get(player.world);
+    if (!world) return [];
+    let inventories = playerInventories.get(player.id);
+    if (!inventories) {
+        const saved = player.username && characters[player.username] ? characters[player.username].inventories : null;
+        inventories = {};
+        Object.entries(saved || {}).forEach(([worldName, slots]) => {
+            inventories[worldName] = sanitizeSlots(slots);
+        });
+        playerInventories.set(player.id, inventories);
+    }
+    if (!inventories[world.name]) {
+        inventories[world.name] = getStarterKit(world).map(slot => ({ ...slot }));
+    }
+    return inventories[world.name];
+}
+
+function hasItem(player, itemId) {
+    return getInventory(player).some(slot => slot.item === itemId);
+}
+
+// Add items to a list of slots, topping up existing stacks first; returns how many didn't fit
+function addToSlots(slots, itemId, count) {
+    const stack = ITEMS[itemId].stack || 1;
+    let left = count;
+    slots.forEach(slot => {
+        if (left > 0 && slot.item === itemId && slot.count < stack) {
+            const added = Math.min(stack - slot.count, left);
+            slot.count += added;
+            left -= added;
+        }
+    });
+    while (left > 0 && slots.length < INVENTORY_SLOTS) {
+        const added = Math.min(stack, left);
+        slots.push({ item: itemId, count: added });
+        left -= added;
+    }
+    return left;
+}
+
+function addItem(player, itemId, count = 1) {
+    return addToSlots(getInventory(player), itemId, count);
+}
+
+// Use up one of an item (from its last stack); returns false if the player has none
+function takeItem(player, itemId) {
+    const inventory = getInventory(player);
+    for (let i = inventory.length - 1; i >= 0; i--) {
+        if (inventory[i].item !== itemId) continue;
+        inventory[i].count--;
+        if (inventory[i].count === 0) {
+            inventory.splice(i, 1);
+        }
+        return true;
+    }
+    return false;
+}
+
+function sendInventory(socket, player) {
+    socket.emit('inventoryUpdate', { slots: getInventory(player) });
+}
+
+// Put away a held item the player no longer has
+function checkEquippedItem(socket, player) {
+    if (player.equippedItem && !hasItem(player, player.equippedItem)) {
+        player.equippedItem = null;
+        emitToWorld(player.id, 'playerEquippedItem', { playerId: player.id, item: null });
+    }
+}
+
+// Copy a registered player's inventories into their character (written by saveData)
+function storeInventories(player) {
+    const inventories = playerInventories.get(player.id);
+    if (player.username && inventories) {
+        characters[player.username] = { ...characters[player.username], inventories };
+    }
+}
+
+// Melee combat - clients say who they hit, and the hit is checked here against the server's
+// positions: the weapon must be held and off cooldown, and the target in reach and in front
+// of the attacker where the attacker saw them (see getPositionAt). Damage comes from the item registry.
+const WEAPON_COOLDOWN_SLACK = 200; // Network jitter can bring two hits closer together than the swings were (ms)
+const MELEE_WEAPONS = Object.fromEntries(ITEM_IDS
+    .filter(id => ITEMS[id].use === 'melee')
+    .map(id => [id, {
+        damage: ITEMS[id].damage || 0,
+        range: ITEMS[id].range,
+        cooldown: ITEMS[id].cooldown - WEAPON_COOLDOWN_SLACK,
+        launch: !!ITEMS[id].launch // Launches into ragdoll instead of damaging
+    }]));
+const MELEE_REACH_TOLERANCE = 1.0; // Extra reach for movement between position updates
+const MELEE_MAX_HEIGHT = 1.5; // Most height difference between attacker and target
+const MELEE_ARC = Math.PI / 2.5; // Most angle off the attacker's facing (either side)
+const MELEE_MAX_REWIND = 500; // Most lag compensation (ms)
+const POSITION_HISTORY_TIME = 1000; // Positions kept per player for lag compensation (ms)
+const positionHistory = new Map(); // playerId -> [{ time, position }], oldest first
+const weaponCooldowns = new Map(); // playerId -> { weapon: time of the last hit or shot }
+
+function recordPosition(player) {
+    const now = Date.now();
+    const history = positionHistory.get(player.id) || [];
+    history.push({ time: now, position: { ...player.position } });
+    while (history.length > 2 && history[0].time < now - POSITION_HISTORY_TIME) {
+        history.shift();
+    }
+    positionHistory.set(player.id, history);
+}
+
+// Where the server had a player at a past time, between the recorded positions around it
+function getPositionAt(player, time) {
+    const history = positionHistory.get(player.id);
+    if (!history || history.length === 0 || time <= history[0].time) {
+        return history && history.length > 0 ? history[0].position : player.position;
+    }
+    for (let i = history.length - 1; i >= 0; i--) {
+        const from = history[i];
+        if (from.time > time) continue;
+        const to = history[i + 1];
+        if (!to) return from.position;
+        const t = (time - from.time) / (to.time - from.time);
+        return {
+            x: from.position.x + (to.position.x - from.position.x) * t,
+            y: from.position.y + (to.position.y - from.position.y) * t,
+            z: from.position.z + (to.position.z - from.position.z) * t
+        };
+    }
+    return player.position;
+}
+
+// Check a melee hit; returns why it is rejected, or null if it lands.
+// time is the server time the attacker saw the target at (their view is slightly behind).
+function validateMeleeHit(attacker, target, weaponName, time) {
+    const weapon = MELEE_WEAPONS[weaponName];
+    if (!weapon) return 'unknown weapon';
+    if (attacker.equippedItem !== weaponName || !hasItem(attacker, weaponName)) return `not holding ${weaponName}`;
+    if (attacker.world !== target.world) return 'target in another world';
+    if (attacker.health <= 0 || target.health <= 0) return 'attacker or target is dead';
+    if (attacker.inCar || target.inCar) return 'attacker or target is in a car';
+    if (!attacker.position || !target.position) return 'no position';
+    
+    const now = Date.now();
+    const cooldowns = weaponCooldowns.get(attacker.id) || {};
+    if (cooldowns[weaponName] && now - cooldowns[weaponName] < weapon.cooldown) return 'too soon after the last hit';
+    
+    // Rewind the target to when the attacker saw them
+    const rewind = Math.min(Math.max(now - (Number(time) || now), 0), MELEE_MAX_REWIND);
+    const targetPos = getPositionAt(target, now - rewind);
+    const dx = targetPos.x - attacker.position.x;
+    const dz = targetPos.z - attacker.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance > weapon.range + MELEE_REACH_TOLERANCE) return `out of reach (${distance.toFixed(1)})`;
+    if (Math.abs(targetPos.y - attacker.position.y) > MELEE_MAX_HEIGHT) return 'out of reach vertically';
+    
+    // Players face (sin(rotation.y), cos(rotation.y)); skip the arc when standing on top of each other
+    if (distance > 0.5) {
+        const facing = attacker.rotation ? attacker.rotation.y : 0;
+        const angle = Math.atan2(dx, dz) - facing;
+        if (Math.abs(Math.atan2(Math.sin(angle), Math.cos(angle))) > MELEE_ARC) return 'not in front of the attacker';
+    }
+    
+    cooldowns[weaponName] = now;
+    weaponCooldowns.set(attacker.id, cooldowns);
+    return null;
+}
+
+// Log a rejected hit (to the console and the audit log, for spotting modified clients)
+function rejectMeleeHit(attacker, target, weaponName, reason) {
+    console.log(`Rejected ${weaponName} hit by ${attacker.name} on ${target.name}: ${reason}`);
+    auditLog('combat.rejected', attacker, { target: target.name, weapon: String(weaponName), reason, ...roundPosition(attacker.position) });
+}
+
+// Projectiles - ranged weapons (use 'ranged' in items.js) fire projectiles that only the
+// server simulates. Clients are sent the launch (position, velocity, gravity, server time)
+// and draw the same arc themselves; every PROJECTILE_TICK the server moves each projectile
+// along that arc, checks it against blocks, the ground and players, and tells the world
+// where it stopped (projectileRemoved). Hits do damage like melee hits (damagePlayer).
+const PROJECTILE_TICK = 50; // ms between simulation steps
+const PROJECTILE_STEP = 0.2; // Most distance travelled between collision checks
+const PROJECTILE_LAUNCH_HEIGHT = 1.1; // Projectiles leave from the shooter's shoulder (above position.y)
+const PROJECTILE_HIT_RADIUS = 0.4; // Players are hit within this distance of their centre line
+const PROJECTILE_HIT_BOTTOM = -0.3; // Player hit box from position.y - 0.3 (feet)...
+const PROJECTILE_HIT_TOP = 1.35; // ...to position.y + 1.35 (top of the head)
+const PROJECTILE_MAX_PER_WORLD = 200;
+let nextProjectileId = 1;
+
+// Where a projectile is t seconds after launch
+function getProjectilePosition(projectile, t) {
+    return {
+        x: projectile.position.x + projectile.velocity.x * t,
+        y: projectile.position.y + projectile.velocity.y * t - 0.5 * projectile.gravity * t * t,
+        z: projectile.position.z + projectile.velocity.z * t
+    };
+}
+
+// What a projectile at this point hits: a player, a block, the ground, or null
+function findProjectileHit(world, projectile, point) {
+    if (point.y <= 0) return { type: 'ground' };
+    const block = world.blocks.get(`${Math.round(point.x)},${Math.floor(point.y)},${Math.round(point.z)}`);
+    if (block && !(block.type === 'door' && block.meta && block.meta.isOpen)) return { type: 'block' };
+    for (const target of players.values()) {
+        if (target.world !== world.name || target.id === projectile.ownerId || !target.position) continue;
+        if (target.health <= 0 || target.inCar) continue;
+        const dx = point.x - target.position.x;
+        const dz = point.z - target.position.z;
+        const dy = point.y - target.position.y;
+        if (dx * dx + dz * dz <= PROJECTILE_HIT_RADIUS * PROJECTILE_HIT_RADIUS &&
+            dy >= PROJECTILE_HIT_BOTTOM && dy <= PROJECTILE_HIT_TOP) {
+            return { type: 'player', target };
+        }
+    }
+    return null;
+}
+
+// Launch a projectile from a player; returns why it can't be fired, or null
+function fireProjectile(player, itemId, direction) {
+    const item = ITEMS[itemId];
+    const world = worlds.get(player.world);
+    if (!world || !item || item.use !== 'ranged') return 'not a ranged weapon';
+    if (player.equippedItem !== itemId || !hasItem(player, itemId)) return `not holding ${itemId}`;
+    if (player.health <= 0) return 'dead';
+    if (player.inCar) return 'in a car';
+    if (!player.position) return 'no position';
+    if (world.projectiles.size >= PROJECTILE_MAX_PER_WORLD) return 'too many projectiles';
+    
+    const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
+    if (!(length > 0)) return 'no direction';
+    
+    const now = Date.now();
+    const cooldowns = weaponCooldowns.get(player.id) || {};
+    if (cooldowns[itemId] && now - cooldowns[itemId] < item.cooldown - WEAPON_COOLDOWN_SLACK) return 'too soon after the last shot';
+    cooldowns[itemId] = now;
+    weaponCooldowns.set(player.id, cooldowns);
+    
+    const { speed, gravity, lifetime } = item.projectile;
+    const projectile = {
+        id: `p${nextProjectileId++}`,
+        item: itemId,
+        ownerId: player.id,
+        position: {
+            x: player.position.x,
+            y: player.position.y + PROJECTILE_LAUNCH_HEIGHT,
+            z: player.position.z
+        },
+        velocity: {
+            x: direction.x / length * speed,
+            y: direction.y / length * speed,
+            z: direction.z / length * speed
+        },
+        gravity,
+        lifetime,
+        time: now,
+        checkedTime: 0 // Seconds after launch the arc has been checked up to
+    };
+    world.projectiles.set(projectile.id, projectile);
+    io.to(world.room).emit('projectileSpawned', {
+        id: projectile.id,
+        item: itemId,
+        ownerId: player.id,
+        position: projectile.position,
+        velocity: projectile.velocity,
+        gravity,
+        time: now
+    });
+    return null;
+}
+
+// End a projectile t seconds after launch (clients draw it until then)
+function removeProjectile(world, projectile, t, targetId = null) {
+    world.projectiles.delete(projectile.id);
+    io.to(world.room).emit('projectileRemoved', {
+        id: projectile.id,
+        position: getProjectilePosition(projectile, t),
+        flightTime: Math.round(t * 1000),
+        targetId
+    });
+}
+
+// Move every projectile up to now, in steps short enough not to pass through a block or player
+function updateProjectiles() {
+    const now = Date.now();
+    worlds.forEach(world => {
+        world.projectiles.forEach(projectile => {
+            const endTime = Math.min(now - projectile.time, projectile.lifetime) / 1000;
+            const speed = Math.sqrt(
+                projectile.velocity.x * projectile.velocity.x +
+                projectile.velocity.z * projectile.velocity.z +
+                Math.pow(Math.abs(projectile.velocity.y) + projectile.gravity * endTime, 2)
+            );
+            const steps = Math.max(1, Math.ceil(speed * (endTime - projectile.checkedTime) / PROJECTILE_STEP));
+            const startTime = projectile.checkedTime;
+            for (let i = 1; i <= steps; i++) {
+                const t = startTime + (endTime - startTime) * i / steps;
+                const point = getProjectilePosition(projectile, t);
+                const hit = findProjectileHit(world, projectile, point);
+                if (hit) {
+                    removeProjectile(world, projectile, t, hit.target ? hit.target.id : null);
+                    if (hit.target) {
+                        const owner = players.get(projectile.ownerId);
+                        damagePlayer(hit.target, projectile.ownerId, ITEMS[projectile.item].damage);
+                        console.log(`${owner ? owner.name : 'Someone'}'s ${projectile.item} hit ${hit.target.name}. ${hit.target.name} health: ${hit.target.health}`);
+                    }
+                    return;
+                }
+            }
+            projectile.checkedTime = endTime;
+            if (endTime * 1000 >= projectile.lifetime) {
+                removeProjectile(world, projectile, endTime);
+            }
+        });
+    });
+}
+
+setInterval(updateProjectiles, PROJECTILE_TICK);
+
+// Movement validation - each playerMove is checked against the last accepted position:
+// horizontal speed against a budget that refills at MOVE_MAX_SPEED (MOVE_MAX_CAR_SPEED in a car), and, for players
+// without fly mode, height against a jump from where they last stood on something.
+// Impossible moves are ignored and the client is teleported back; players who keep
+// making them are flagged in the audit log.
+const MOVE_MAX_SPEED = 6; // Blocks per second (the client sprints at 4.4)
+const MOVE_MAX_BURST = 5; // Blocks of movement that can arrive at once (network jitter)
+const CAR_ENTRY_RANGE = 6; // How close a player must be to get into a car (the client allows 5)
+const MOVE_MAX_CAR_SPEED = 25; // Blocks per second in a car (the client's top speed is 20)
+const MOVE_MAX_CAR_BURST = 10; // Getting in puts the player up to CAR_ENTRY_RANGE away
+const MOVE_MAX_JUMP = 2.0; // Highest a jump goes above the ground (1.5 blocks, with slack)
+const MOVE_GRAVITY = 30; // Same as the client's
+const MOVE_AIR_TIME = 1.0; // Seconds in the air before the player has to be falling
+const MOVE_GROUND_Y = 0.27; // Player position when standing on the ground plane
+const MOVE_CORRECTION_TIMEOUT = 1000; // Wait this long for a correction to reach the client (ms)
+const MOVE_RAGDOLL_TIME = 4000; // Moves aren't checked this long after a bat launch (ms)
+const MOVE_FLAG_WINDOW = 60000; // Violations are counted over this long (ms)
+const MOVE_FLAG_THRESHOLD = 5; // Violations in the window that get a player flagged
+const movementStates = new Map(); // playerId -> { position, time, allowance, supportY, supportTime, ... }
+
+// Start checking a player's movement from where the server has them (join, respawn, teleport)
+function resetMovement(player) {
+    const now = Date.now();
+    const position = player.position || { x: 0, y: 5, z: 0 };
+    const previous = movementStates.get(player.id);
+    movementStates.set(player.id, {
+        position: { ...position },
+        time: now,
+        allowance: MOVE_MAX_BURST,
+        supportY: position.y,
+        supportTime: now,
+        correctionTime: null,
+        exemptUntil: 0,
+        violations: previous ? previous.violations : [],
+        flaggedAt: previous ? previous.flaggedAt : null
+    });
+}
+
+function getMovementState(player) {
+    if (!movementStates.has(player.id)) {
+        resetMovement(player);
+    }
+    return movementStates.get(player.id);
+}
+
+// Move a player somewhere from the server and tell their client
+function teleportPlayer(socket, player, position) {
+    player.position = { ...position };
+    resetMovement(player);
+    socket.emit('teleport', position);
+}
+
+// Whether a player at this position stands on the ground or a block, or holds onto a ladder
+function isMoveSupported(world, position) {
+    const feetY = position.y - 0.3;
+    if (position.y <= MOVE_GROUND_Y + 0.35) return true;
+    const centerX = Math.round(position.x);
+    const centerZ = Math.round(position.z);
+    for (let x = centerX - 2; x <= centerX + 2; x++) {
+        for (let z = centerZ - 2; z <= centerZ + 2; z++) {
+            for (let y = Math.floor(feetY - 1.5); y <= Math.ceil(feetY + 1.8); y++) {
+                const block = world.blocks.get(`${x},${y},${z}`);
+                if (!block) continue;
+                const distX = Math.abs(x - position.x);
+                const distZ = Math.abs(z - position.z);
+                // Ladders are climbable from the blocks around them (like on the client)
+                if (block.type === 'ladder' && distX < 1.75 && distZ < 1.75 && y < feetY + 1.65 && y + 1 > feetY) return true;
+                // Standing on top of a block
+                if (distX < 0.75 && distZ < 0.75 && y + 1 >= feetY - 0.35 && y + 1 <= feetY + 0.15) return true;
+            }
+        }
+    }
+    return false;
+}
+
+// Check a move; returns why it is impossible, or null (and records it) if it is fine
+function checkMove(world, player, position) {
+    if (!position || ![position.x, position.y, position.z].every(Number.isFinite)) return 'invalid position';
+    const now = Date.now();
+    const state = getMovementState(player);
+    const elapsed = Math.min((now - state.time) / 1000, 1);
+    const dx = position.x - state.position.x;
+    const dz = position.z - state.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    
+    // Flying after a bat hit - just follow along
+    const exempt = now < state.exemptUntil;
+    if (!exempt) {
+        // Seated players go as fast as a car can
+        const maxSpeed = player.inCar ? MOVE_MAX_CAR_SPEED : MOVE_MAX_SPEED;
+        const maxBurst = player.inCar ? MOVE_MAX_CAR_BURST : MOVE_MAX_BURST;
+        const allowance = Math.min(maxBurst, state.allowance + elapsed * maxSpeed);
+        if (distance > allowance) {
+            return `moved ${distance.toFixed(1)} blocks when ${allowance.toFixed(1)} were allowed`;
+        }
+        state.allowance = allowance - distance;
+    }
+    
+    if (exempt || player.inCar || flyingPlayers.has(player.id) || isMoveSupported(world, position)) {
+        state.supportY = position.y;
+        state.supportTime = now;
+    } else {
+        // In the air: no higher than a jump, and falling once the jump is over
+        const airTime = (now - state.supportTime) / 1000;
+        const fallTime = Math.max(0, airTime - MOVE_AIR_TIME);
+        const maxY = state.supportY + MOVE_MAX_JUMP - 0.5 * MOVE_GRAVITY * fallTime * fallTime;
+        if (position.y > maxY) {
+            return fallTime > 0 ? `stayed in the air for ${airTime.toFixed(1)}s` : `rose ${(position.y - state.supportY).toFixed(1)} blocks`;
+        }
+    }
+    
+    state.position = { ...position };
+    state.time = now;
+    return null;
+}
+
+// Ignore an impossible move: send the client back to the last good position and count it
+function correctMove(socket, player, reason) {
+    const now = Date.now();
+    const state = getMovementState(player);
+    state.correctionTime = now;
+    state.time = now;
+    socket.emit('teleport', { ...state.position });
+    console.log(`Corrected ${player.name}'s movement: ${reason}`);
+    
+    state.violations = state.violations.filter(time => now - time < MOVE_FLAG_WINDOW);
+    state.violations.push(now);
+    if (state.violations.length >= MOVE_FLAG_THRESHOLD && (!state.flaggedAt || now - state.flaggedAt >= MOVE_FLAG_WINDOW)) {
+        state.flaggedAt = now;
+        auditLog('movement.flagged', player, { reason, count: state.violations.length, ...roundPosition(state.position) });
+    }
+}
+
+// Moves the client sent before it got our correction, which we drop without counting
+function isAwaitingCorrection(player, position) {
+    const state = getMovementState(player);
+    if (!state.correctionTime) return false;
+    const nearCorrection = position && Math.abs(position.x - state.position.x) <= 1
+        && Math.abs(position.y - state.position.y) <= 1 && Math.abs(position.z - state.position.z) <= 1;
+    if (nearCorrection || Date.now() - state.correctionTime > MOVE_CORRECTION_TIMEOUT) {
+        state.correctionTime = null;
+        return false;
+    }
+    return true;
+}
+
+// Ban or mute a player (online, or offline by account name)
+function punishPlayer({ socket, player }, type, name, duration, reason) {
+    let target = null;
+    const online = findPlayer(name);
+    if (online) {
+        const targetSocket = io.sockets.sockets.get(online.id);
+        target = {
+            username: online.username || null,
+            name: online.name,
+            role: online.role,
+            ip: targetSocket ? targetSocket.data.ip : null,
+            fingerprint: targetSocket ? targetSocket.data.fingerprint : null
+        };
+    } else if (Object.prototype.hasOwnProperty.call(accounts, name)) {
+        target = { username: name, name, role: getAccountRole(name), ip: null, fingerprint: null };
+    }
+    
+    if (!target) {
+        sendSystemMessage(socket, `Player "${name}" not found. Guests can only be punished while online.`);
+        return;
+    }
+    if (!canModerate(player.role, target.role)) {
+        sendSystemMessage(socket, `You cannot punish ${target.name} (${target.role})`);
+        return;
+    }
+    
+    const punishment = addPunishment(type, target, reason, duration, player.username || player.name);
+    const action = type === 'bans' ? 'banned' : 'muted';
+    
+    // Apply it to everyone online it matches
+    io.sockets.sockets.forEach(s => {
+        const identity = { username: s.data.username, ip: s.data.ip, fingerprint: s.data.fingerprint };
+        if (!punishmentMatches(punishment, identity)) return;
+        if (type === 'bans') {
+            s.emit('banned', { message: describePunishment(punishment, 'banned') });
+            s.disconnect(true);
+        } else {
+            sendSystemMessage(s, describePunishment(punishment, 'muted'));
+        }
+    });
+    
+    const length = duration ? `for ${formatDuration(duration)}` : 'permanently';
+    console.log(`${player.name} ${action} ${target.name} ${length}: ${punishment.reason}`);
+    sendSystemMessage(socket, `${target.name} ${action} ${length}. Reason: ${punishment.reason}`);
+}
+
+// Mark a corner of the area to claim at the player's position
+function setClaimCorner({ socket, playerId, player }, corner) {
+    const selection = claimSelections.get(playerId) || { pos1: null, pos2: null };
+    selection[corner] = { x: Math.round(player.position.x), z: Math.round(player.position.z) };
+    claimSelections.set(playerId, selection);
+    socket.emit('claimSelection', selection);
+    sendSystemMessage(socket, `Corner ${corner === 'pos1' ? 1 : 2} set to (${selection[corner].x}, ${selection[corner].z})`);
+}
+
+function getClaimAtPlayer(player) {
+    const world = worlds.get(player.world);
+    if (!world || !player.position) return null;
+    return findClaimAt(world, Math.round(player.position.x), Math.round(player.position.z));
+}
+
+// The claim the player is standing in, if they own it (or may manage anyone's claims)
+function getOwnClaimAtPlayer({ socket, player }) {
+    const claim = getClaimAtPlayer(player);
+    if (!claim) {
+        sendSystemMessage(socket, 'Stand inside a claim to manage it');
+        return null;
+    }
+    if (claim.owner !== player.username && !hasPermission(player.role, 'claim.override')) {
+        sendSystemMessage(socket, `This claim belongs to ${claim.owner}`);
+        return null;
+    }
+    return claim;
+}
+
+// Turn /log filters like "player:Bob near:20 since:2h" into a filter function
+function parseLogQuery(text, player) {
+    const checks = [];
+    let limit = 10;
+    
+    for (const token of text.split(/\s+/).filter(Boolean)) {
+        const [key, value] = token.split(/:(.*)/);
+        if (!value) {
+            return { error: `Filters look like key:value, got "${token}"` };
+        }
+        switch (key.toLowerCase()) {
+            case 'player': {
+                const name = value.toLowerCase();
+                checks.push(entry => [entry.player, entry.username, entry.killer]
+                    .some(n => n && n.toLowerCase() === name));
+                break;
+            }
+            case 'action':
+                checks.push(entry => entry.action === value || entry.action.startsWith(value + '.'));
+                break;
+            case 'world':
+                checks.push(entry => entry.world === value);
+                break;
+            case 'near': {
+                const radius = parseFloat(value);
+                if (!Number.isFinite(radius)) {
+                    return { error: 'near: takes a radius in blocks, e.g. near:20' };
+                }
+                const { x, z } = player.position;
+                checks.push(entry => entry.world === player.world && entry.x !== undefined &&
+                    Math.hypot(entry.x - x, entry.z - z) <= radius);
+                break;
+            }
+            case 'area': {
+                const [x1, z1, x2, z2] = value.split(',').map(Number);
+                if (![x1, z1, x2, z2].every(Number.isFinite)) {
+                    return { error: 'area: takes two corners, e.g. area:0,0,50,50' };
+                }
+                checks.push(entry => entry.world === player.world && entry.x !== undefined &&
+                    entry.x >= Math.min(x1, x2) && entry.x <= Math.max(x1, x2) &&
+                    entry.z >= Math.min(z1, z2) && entry.z <= Math.max(z1, z2));
+                break;
+            }
+            case 'since':
+            case 'until': {
+                const duration = parseDuration(value);
+                if (!duration) {
+                    return { error: `${key}: takes a duration like 30m, 2h or 7d` };
+                }
+                const cutoff = Date.now() - duration;
+                checks.push(key.toLowerCase() === 'since'
+                    ? entry => Date.parse(entry.time) >= cutoff
+                    : entry => Date.parse(entry.time) <= cutoff);
+                break;
+            }
+            case 'limit':
+                limit = Math.min(Math.max(parseInt(value, 10) || 10, 1), 50);
+                break;
+            default:
+                return { error: `Unknown filter "${key}". Use player, action, world, near, area, since, until or limit.` };
+        }
+    }
+    
+    return { filter: entry => checks.every(check => check(entry)), limit };
+}
+
+// The block position a player is standing in
+function getFeetBlock(player) {
+    return {
+        x: Math.round(player.position.x),
+        y: Math.floor(player.position.y),
+        z: Math.round(player.position.z)
+    };
+}
+
+// Find an online player by display name or username
+function findPlayer(name, world = null) {
+    const lowerName = name.toLowerCase();
+    for (const p of players.values()) {
+        if (world && p.world !== world) continue;
+        // Check both username and name for lookup
+        const matchName = p.name && p.name.toLowerCase() === lowerName;
+        const matchUsername = p.username && p.username.toLowerCase() === lowerName;
+        if (matchName || matchUsername) {
+            return p;
+        }
+    }
+    return null;
+}
+
+// Chat commands
+// Each command has one or more forms. A form declares its subcommand (if any), its
+// arguments, the permission it needs and a description. handleCommand picks the form
+// that matches the input, checks the permission and parses the arguments before
+// calling run(ctx, args), and the help window and chat autocomplete on the client
+// are built from the same definitions (see getCommandCatalog).
+//
+// Argument types:
+//   string - any single word
+//   number - a finite number
+//   choice - one of arg.choices (case-insensitive)
+//   player   - an online player (arg.sameWorld limits it to the caller's world)
+//   duration - a duration like 30m, 2h or 7d, in milliseconds
+//   text     - the rest of the message (must be the last argument)
+// An optional argument that doesn't parse right before a text argument counts as
+// left out, so "/mute Bob spamming" works as well as "/mute Bob 10m spamming".
+const COMMANDS = [
+    {
+        name: 'help',
+        aliases: ['?'],
+        description: 'Show this help window',
+        run: ({ socket, player }) => {
+            socket.emit('showHelpWindow', { role: player.role, commands: getCommandCatalog(player.role) });
+        }
+    },
+    {
+        name: 'world',
+        aliases: ['w'],
+        forms: [
+            {
+                sub: 'list',
+                description: 'List all worlds',
+                run: ({ socket, player }) => {
+                    const worldList = getWorldList()
+                        .map(w => `${w.name} (${w.players})${w.name === player.world ? ' *' : ''}`)
+                        .join(', ');
+                    sendSystemMessage(socket, `Worlds: ${worldList}`);
+                }
+            },
+            {
+                sub: 'join',
+                args: [{ name: 'name', type: 'string' }],
+                description: 'Switch to another world',
+                run: (ctx, { name }) => {
+                    const world = worlds.get(name);
+                    if (!world) {
+                        sendSystemMessage(ctx.socket, `World "${name}" not found. Type /world list to see all worlds.`);
+                        return;
+                    }
+                    switchWorld(ctx, world);
+                }
+            },
+            {
+                sub: 'create',
+                args: [{ name: 'name', type: 'string' }],
+                permission: 'world.create',
+                description: 'Create a new world and join it',
+                run: (ctx, { name }) => {
+                    if (!WORLD_NAME_PATTERN.test(name)) {
+                        sendSystemMessage(ctx.socket, 'World names may only contain letters, numbers, - and _ (max 24 characters)');
+                        return;
+                    }
+                    if (worlds.has(name)) {
+                        sendSystemMessage(ctx.socket, `World "${name}" already exists`);
+                        return;
+                    }
+                    const world = createWorld(name);
+                    saveWorld(world);
+                    console.log(`${ctx.player.name} created world "${name}"`);
+                    switchWorld(ctx, world);
+                }
             }
-            
+        ]
+    },
+    {
+        name: 'role',
+        forms: [
+            {
+                sub: 'list',
+                permission: 'command.role.list',
+                description: 'Show roles of online players',
+                run: ({ socket, player }) => {
+                    // Online players in this world, grouped by role
+                    const roleList = ROLES
+                        .map(role => {
+                            const names = Array.from(players.values())
+                                .filter(p => p.world === player.world && p.role === role)
+                                .map(p => p.name);
+                            return names.length > 0 ? `${role}: ${names.join(', ')}` : null;
+                        })
+                        .filter(Boolean)
+                        .join(' | ');
+                    sendSystemMessage(socket, `Roles (${ROLES.join(' > ')}). Online: ${roleList || 'nobody'}`);
+                }
+            },
+            {
+                sub: 'set',
+                args: [
+                    { name: 'username', type: 'string' },
+                    { name: 'role', type: 'choice', choices: ROLES.filter(role => role !== 'guest') }
+                ],
+                permission: 'command.role.set',
+                description: 'Change a player\'s role',
+                run: ({ socket, player }, { username, role }) => {
+                    assignRole(socket, player, username, role);
+                }
+            }
+        ]
+    },
+    {
+        name: 'claim',
+        forms: [
+            {
+                sub: 'pos1',
+                permission: 'claim.create',
+                description: 'Mark the first corner of an area to claim (where you stand)',
+                run: (ctx) => setClaimCorner(ctx, 'pos1')
+            },
+            {
+                sub: 'pos2',
+                permission: 'claim.create',
+                description: 'Mark the opposite corner',
+                run: (ctx) => setClaimCorner(ctx, 'pos2')
+            },
+            {
+                sub: 'create',
+                permission: 'claim.create',
+                description: 'Claim the marked area so only you and trusted players can build there',
+                run: ({ socket, playerId, player }) => {
+                    const world = worlds.get(player.world);
+                    const selection = claimSelections.get(playerId);
+                    if (!player.username) {
+                        sendSystemMessage(socket, 'Guests cannot claim land');
+                        return;
+                    }
+                    if (!selection || !selection.pos1 || !selection.pos2) {
+                        sendSystemMessage(socket, 'Mark both corners first with /claim pos1 and /claim pos2');
+                        return;
+                    }
+                    
+                    const claim = {
+                        id: crypto.randomBytes(4).toString('hex'),
+                        owner: player.username,
+                        x1: Math.min(selection.pos1.x, selection.pos2.x),
+                        z1: Math.min(selection.pos1.z, selection.pos2.z),
+                        x2: Math.max(selection.pos1.x, selection.pos2.x),
+                        z2: Math.max(selection.pos1.z, selection.pos2.z),
+                        trusted: [],
+                        createdAt: new Date().toISOString()
+                    };
+                    if (claim.x2 - claim.x1 + 1 > CLAIM_MAX_SIZE || claim.z2 - claim.z1 + 1 > CLAIM_MAX_SIZE) {
+                        sendSystemMessage(socket, `Claims can be at most ${CLAIM_MAX_SIZE}x${CLAIM_MAX_SIZE} blocks`);
+                        return;
+                    }
+                    const overlapping = world.claims.find(other => claimsOverlap(claim, other));
+                    if (overlapping) {
+                        sendSystemMessage(socket, `That area overlaps a claim owned by ${overlapping.owner}`);
+                        return;
+                    }
+                    const ownClaims = world.claims.filter(other => other.owner === player.username).length;
+                    if (ownClaims >= CLAIM_MAX_PER_PLAYER && !hasPermission(player.role, 'claim.override')) {
+                        sendSystemMessage(socket, `You already have ${CLAIM_MAX_PER_PLAYER} claims in this world`);
+                        return;
+                    }
+                    
+                    world.claims.push(claim);
+                    claimSelections.delete(playerId);
+                    socket.emit('claimSelection', null);
+                    updateClaims(world);
+                    auditLog('claim.create', player, { x: claim.x1, y: 0, z: claim.z1, x2: claim.x2, z2: claim.z2 });
+                    sendSystemMessage(socket, `Claimed (${claim.x1}, ${claim.z1}) to (${claim.x2}, ${claim.z2})`);
+                }
+            },
+            {
+                sub: 'info',
+                permission: 'claim.create',
+                description: 'Show who owns the claim you are standing in',
+                run: ({ socket, player }) => {
+                    const claim = getClaimAtPlayer(player);
+                    if (!claim) {
+                        sendSystemMessage(socket, 'This area is not claimed');
+                        return;
+                    }
+                    const trusted = claim.trusted.length > 0 ? claim.trusted.join(', ') : 'nobody';
+                    sendSystemMessage(socket, `Claimed by ${claim.owner}: (${claim.x1}, ${claim.z1}) to (${claim.x2}, ${claim.z2}). Trusted: ${trusted}`);
+                }
+            },
+            {
+                sub: 'list',
+                permission: 'claim.create',
+                description: 'List your claims in this world',
+                run: ({ socket, player }) => {
+                    const world = worlds.get(player.world);
+                    if (!world) return;
+                    const ownClaims = world.claims.filter(claim => claim.owner === player.username);
+                    if (ownClaims.length === 0) {
+                        sendSystemMessage(socket, 'You have no claims in this world');
+                        return;
+                    }
+                    sendSystemMessage(socket, 'Your claims: ' + ownClaims
+                        .map(claim => `(${claim.x1}, ${claim.z1}) to (${claim.x2}, ${claim.z2})`)
+                        .join(', '));
+                }
+            },
+            {
+                sub: 'trust',
+                args: [{ name: 'username', type: 'string' }],
+                description: 'Let a registered player build in the claim you are standing in',
+                run: (ctx, { username }) => {
+                    const claim = getOwnClaimAtPlayer(ctx);
+                    if (!claim) return;
+                    if (!Object.prototype.hasOwnProperty.call(accounts, username)) {
+                        sendSystemMessage(ctx.socket, `Account "${username}" not found. Only registered players can be trusted.`);
+                        return;
+                    }
+                    if (!claim.trusted.includes(username)) {
+                        claim.trusted.push(username);
+                        updateClaims(worlds.get(ctx.player.world));
+                    }
+                    sendSystemMessage(ctx.socket, `${username} can now build in this claim`);
+                }
+            },
+            {
+                sub: 'untrust',
+                args: [{ name: 'username', type: 'string' }],
+                description: 'Stop a player from building in the claim you are standing in',
+                run: (ctx, { username }) => {
+                    const claim = getOwnClaimAtPlayer(ctx);
+                    if (!claim) return;
+                    claim.trusted = claim.trusted.filter(name => name !== username);
+                    updateClaims(worlds.get(ctx.player.world));
+                    sendSystemMessage(ctx.socket, `${username} can no longer build in this claim`);
+                }
+            },
+            {
+                sub: 'remove',
+                description: 'Remove the claim you are standing in',
+                run: (ctx) => {
+                    const claim = getOwnClaimAtPlayer(ctx);
+                    if (!claim) return;
+                    const world = worlds.get(ctx.player.world);
+                    world.claims = world.claims.filter(other => other !== claim);
+                    updateClaims(world);
+                    auditLog('claim.remove', ctx.player, { x: claim.x1, y: 0, z: claim.z1, x2: claim.x2, z2: claim.z2, owner: claim.owner });
+                    sendSystemMessage(ctx.socket, `Removed ${claim.owner}'s claim`);
+                }
+            },
+            {
+                sub: 'show',
+                description: 'Show or hide claim borders',
+                run: ({ socket }) => {
+                    socket.emit('toggleClaimBorders');
+                }
+            }
+        ]
+    },
+    {
+        name: 'fly',
+        permission: 'command.fly',
+        description: 'Toggle fly mode (Space = up, X = down)',
+        run: ({ socket, playerId }) => {
             if (flyingPlayers.has(playerId)) {
                 flyingPlayers.delete(playerId);
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'Fly mode disabled',
-                    timestamp: new Date().toLocaleTimeString()
-                });
+                sendSystemMessage(socket, 'Fly mode disabled');
             } else {
                 flyingPlayers.add(playerId);
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'Fly mode enabled',
-                    timestamp: new Date().toLocaleTimeString()
-                });
+                sendSystemMessage(socket, 'Fly mode enabled');
             }
             // Notify client about fly state change
             socket.emit('flyStateChanged', { enabled: flyingPlayers.has(playerId) });
-            break;
-            
-        case '/bot':
-            if (!currentAdminStatus) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'You do not have permission to use this command',
-                    timestamp: new Date().toLocaleTimeString()
-                });
-                return;
-            }
-            
-            if (args[1] === 'on') {
-                if (botEnabled) {
-                    socket.emit('chatMessage', {
-                        id: 'system',
-                        name: 'System',
-                        username: 'System',
-                        message: 'Bot is already enabled',
-                        timestamp: new Date().toLocaleTimeString()
-                    });
-                } else {
+        }
+    },
+    {
+        name: 'bot',
+        permission: 'command.bot',
+        forms: [
+            {
+                sub: 'on',
+                description: 'Enable bot player',
+                run: ({ socket }) => {
+                    if (botEnabled) {
+                        sendSystemMessage(socket, 'Bot is already enabled');
+                        return;
+                    }
                     botEnabled = true;
                     startBot();
-                    socket.emit('chatMessage', {
-                        id: 'system',
-                        name: 'System',
-                        username: 'System',
-                        message: 'Bot enabled',
-                        timestamp: new Date().toLocaleTimeString()
-                    });
+                    sendSystemMessage(socket, 'Bot enabled');
                 }
-            } else if (args[1] === 'off') {
-                if (!botEnabled) {
-                    socket.emit('chatMessage', {
-                        id: 'system',
-                        name: 'System',
-                        username: 'System',
-                        message: 'Bot is already disabled',
-                        timestamp: new Date().toLocaleTimeString()
-                    });
-                } else {
+            },
+            {
+                sub: 'off',
+                description: 'Disable bot player',
+                run: ({ socket }) => {
+                    if (!botEnabled) {
+                        sendSystemMessage(socket, 'Bot is already disabled');
+                        return;
+                    }
                     botEnabled = false;
                     stopBot();
-                    socket.emit('chatMessage', {
-                        id: 'system',
-                        name: 'System',
-                        username: 'System',
-                        message: 'Bot disabled',
-                        timestamp: new Date().toLocaleTimeString()
+                    sendSystemMessage(socket, 'Bot disabled');
+                }
+            }
+        ]
+    },
+    {
+        name: 'kick',
+        permission: 'command.kick',
+        args: [{ name: 'player', type: 'player' }],
+        description: 'Kick a player from the server',
+        run: ({ socket }, { player: target }) => {
+            const targetSocket = io.sockets.sockets.get(target.id);
+            if (targetSocket) {
+                sendSystemMessage(targetSocket, 'You have been kicked from the server');
+                targetSocket.disconnect();
+            }
+            sendSystemMessage(socket, `Kicked player "${target.name}"`);
+        }
+    },
+    {
+        name: 'tp',
+        aliases: ['teleport'],
+        permission: 'command.tp',
+        forms: [
+            {
+                args: [
+                    { name: 'x', type: 'number' },
+                    { name: 'y', type: 'number' },
+                    { name: 'z', type: 'number' }
+                ],
+                description: 'Teleport to coordinates',
+                run: ({ socket, player }, { x, y, z }) => {
+                    teleportPlayer(socket, player, { x, y, z });
+                    sendSystemMessage(socket, `Teleported to (${x}, ${y}, ${z})`);
+                }
+            },
+            {
+                args: [{ name: 'player', type: 'player', sameWorld: true }],
+                description: 'Teleport to a player',
+                run: ({ socket, player }, { player: target }) => {
+                    teleportPlayer(socket, player, {
+                        x: target.position.x,
+                        y: target.position.y,
+                        z: target.position.z
                     });
+                    sendSystemMessage(socket, `Teleported to ${target.name}`);
                 }
-            } else {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'Usage: /bot on or /bot off',
-                    timestamp: new Date().toLocaleTimeString()
-                });
             }
-            break;
-            
-        case '/kick':
-            if (!currentAdminStatus) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'You do not have permission to use this command',
-                    timestamp: new Date().toLocaleTimeString()
-                });
+        ]
+    },
+    {
+        name: 'give',
+        permission: 'command.give',
+        args: [
+            { name: 'item', type: 'choice', choices: ITEM_IDS.filter(id => ITEMS[id].give !== false) },
+            { name: 'count', type: 'number', optional: true }
+        ],
+        description: 'Give yourself an item',
+        run: ({ socket, player }, { item, count }) => {
+            const wanted = Math.min(Math.max(Math.floor(count || 1), 1), INVENTORY_SLOTS * (ITEMS[item].stack || 1));
+            const given = wanted - addItem(player, item, wanted);
+            sendInventory(socket, player);
+            sendSystemMessage(socket, given > 0
+                ? `Gave yourself ${given} ${ITEMS[item].name}` + (given < wanted ? ' (inventory full)' : '')
+                : 'Your inventory is full');
+        }
+    },
+    {
+        name: 'kit',
+        permission: 'command.kit',
+        forms: [
+            {
+                description: 'Show this world\'s starter kit',
+                run: ({ socket, player }) => {
+                    const world = worlds.get(player.world);
+                    const kit = getStarterKit(world).map(slot => `${slot.count} ${ITEMS[slot.item].name}`).join(', ');
+                    sendSystemMessage(socket, `Starter kit in "${world.name}"${world.starterKit ? '' : ' (default)'}: ${kit || 'nothing'}`);
+                }
+            },
+            {
+                sub: 'add',
+                args: [
+                    { name: 'item', type: 'choice', choices: ITEM_IDS },
+                    { name: 'count', type: 'number', optional: true }
+                ],
+                description: 'Add an item to this world\'s starter kit',
+                run: ({ socket, player }, { item, count }) => {
+                    const world = worlds.get(player.world);
+                    const kit = getStarterKit(world).map(slot => ({ ...slot }));
+                    const wanted = Math.min(Math.max(Math.floor(count || 1), 1), INVENTORY_SLOTS * (ITEMS[item].stack || 1));
+                    const left = addToSlots(kit, item, wanted);
+                    setStarterKit(world, kit);
+                    sendSystemMessage(socket, `Added ${ITEMS[item].name} to the starter kit` + (left > 0 ? ' (kit full)' : '') + '. Players get it the first time they join this world.');
+                }
+            },
+            {
+                sub: 'remove',
+                args: [{ name: 'item', type: 'choice', choices: ITEM_IDS }],
+                description: 'Take an item out of this world\'s starter kit',
+                run: ({ socket, player }, { item }) => {
+                    const world = worlds.get(player.world);
+                    setStarterKit(world, getStarterKit(world).filter(slot => slot.item !== item));
+                    sendSystemMessage(socket, `Removed ${ITEMS[item].name} from the starter kit`);
+                }
+            },
+            {
+                sub: 'clear',
+                description: 'Start players in this world with nothing',
+                run: ({ socket, player }) => {
+                    setStarterKit(worlds.get(player.world), []);
+                    sendSystemMessage(socket, 'Starter kit cleared');
+                }
+            },
+            {
+                sub: 'reset',
+                description: 'Go back to the default starter kit',
+                run: ({ socket, player }) => {
+                    setStarterKit(worlds.get(player.world), null);
+                    sendSystemMessage(socket, 'Starter kit reset to the default');
+                }
+            }
+        ]
+    },
+    {
+        name: 'heal',
+        permission: 'command.heal',
+        args: [{ name: 'player', type: 'player', optional: true }],
+        description: 'Restore full health (self or player)',
+        run: ({ socket, player }, { player: target }) => {
+            const healed = target || player;
+            if (healed.health !== undefined && healed.health <= 0) {
+                sendSystemMessage(socket, `${healed === player ? 'You are' : `${healed.name} is`} dead`);
                 return;
             }
-            
-            if (!args[1]) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'Usage: /kick <player>',
-                    timestamp: new Date().toLocaleTimeString()
-                });
+            // The server's health is what counts - set it, then tell the world
+            healed.health = 100;
+            emitToWorld(healed.id, 'playerHealthUpdate', {
+                playerId: healed.id,
+                health: healed.health
+            });
+            if (!target) {
+                sendSystemMessage(socket, 'Health restored to full');
                 return;
             }
-            
-            // Find player by name
-            let targetPlayer = null;
-            let targetPlayerId = null;
-            for (const [id, p] of players.entries()) {
-                if (p.name && p.name.toLowerCase() === args[1].toLowerCase()) {
-                    targetPlayer = p;
-                    targetPlayerId = id;
-                    break;
-                }
+            const targetSocket = io.sockets.sockets.get(target.id);
+            sendSystemMessage(socket, `Healed ${target.name}`);
+            if (targetSocket) {
+                sendSystemMessage(targetSocket, 'You have been healed');
             }
-            
-            if (!targetPlayer) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: `Player "${args[1]}" not found`,
-                    timestamp: new Date().toLocaleTimeString()
-                });
+        }
+    },
+    {
+        name: 'kill',
+        permission: 'command.kill',
+        args: [{ name: 'player', type: 'player', optional: true }],
+        description: 'Kill yourself or a player',
+        run: ({ socket, player, playerId }, { player: target }) => {
+            if (!target) {
+                killPlayer(player, playerId);
+                sendSystemMessage(socket, 'You killed yourself');
                 return;
             }
-            
-            // Kick the player
-            const targetSocket = io.sockets.sockets.get(targetPlayerId);
+            const targetSocket = io.sockets.sockets.get(target.id);
             if (targetSocket) {
-                targetSocket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'You have been kicked from the server',
-                    timestamp: new Date().toLocaleTimeString()
-                });
-                targetSocket.disconnect();
+                killPlayer(target, playerId);
+                sendSystemMessage(socket, `Killed ${target.name}`);
+                sendSystemMessage(targetSocket, 'You have been killed');
             }
-            
-            socket.emit('chatMessage', {
-                id: 'system',
-                name: 'System',
-                username: 'System',
-                message: `Kicked player "${args[1]}"`,
-                timestamp: new Date().toLocaleTimeString()
-            });
-            break;
-            
-        case '/tp':
-            if (!currentAdminStatus) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'You do not have permission to use this command',
-                    timestamp: new Date().toLocaleTimeString()
-                });
+        }
+    },
+    {
+        name: 'ban',
+        permission: 'command.ban',
+        args: [{ name: 'player', type: 'string' }, { name: 'reason', type: 'text', optional: true }],
+        description: 'Ban a player permanently',
+        run: (ctx, { player: name, reason }) => {
+            punishPlayer(ctx, 'bans', name, null, reason);
+        }
+    },
+    {
+        name: 'tempban',
+        permission: 'command.tempban',
+        args: [
+            { name: 'player', type: 'string' },
+            { name: 'duration', type: 'duration' },
+            { name: 'reason', type: 'text', optional: true }
+        ],
+        description: 'Ban a player for a while (e.g. 30m, 2h, 7d)',
+        run: (ctx, { player: name, duration, reason }) => {
+            punishPlayer(ctx, 'bans', name, duration, reason);
+        }
+    },
+    {
+        name: 'unban',
+        permission: 'command.unban',
+        args: [{ name: 'player', type: 'string' }],
+        description: 'Lift a ban',
+        run: ({ socket, player }, { player: name }) => {
+            if (!removePunishments('bans', name)) {
+                sendSystemMessage(socket, `"${name}" is not banned`);
                 return;
             }
-            
-            if (args.length === 4) {
-                // Teleport to coordinates: /tp x y z
-                const x = parseFloat(args[1]);
-                const y = parseFloat(args[2]);
-                const z = parseFloat(args[3]);
-                
-                if (isNaN(x) || isNaN(y) || isNaN(z)) {
-                    socket.emit('chatMessage', {
-                        id: 'system',
-                        name: 'System',
-                        username: 'System',
-                        message: 'Usage: /tp <x> <y> <z> (numbers only)',
-                        timestamp: new Date().toLocaleTimeString()
-                    });
-                    return;
-                }
-                
-                socket.emit('teleport', { x, y, z });
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: `Teleported to (${x}, ${y}, ${z})`,
-                    timestamp: new Date().toLocaleTimeString()
-                });
-            } else if (args.length === 2) {
-                // Teleport to player: /tp player
-                let targetPlayer = null;
-                let targetPlayerId = null;
-                for (const [id, p] of players.entries()) {
-                    // Check both username and name for lookup
-                    const matchName = p.name && p.name.toLowerCase() === args[1].toLowerCase();
-                    const matchUsername = p.username && p.username.toLowerCase() === args[1].toLowerCase();
-                    if (matchName || matchUsername) {
-                        targetPlayer = p;
-                        targetPlayerId = id;
-                        break;
-                    }
-                }
-                
-                if (!targetPlayer) {
-                    socket.emit('chatMessage', {
-                        id: 'system',
-                        name: 'System',
-                        username: 'System',
-                        message: `Player "${args[1]}" not found`,
-                        timestamp: new Date().toLocaleTimeString()
-                    });
-                    return;
-                }
-                
-                socket.emit('teleport', {
-                    x: targetPlayer.position.x,
-                    y: targetPlayer.position.y,
-                    z: targetPlayer.position.z
-                });
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: `Teleported to ${args[1]}`,
-                    timestamp: new Date().toLocaleTimeString()
-                });
-            } else {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'Usage: /tp <x> <y> <z> or /tp <player>',
-                    timestamp: new Date().toLocaleTimeString()
-                });
-            }
-            break;
-            
-        case '/give':
-            if (!currentAdminStatus) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'You do not have permission to use this command',
-                    timestamp: new Date().toLocaleTimeString()
-                });
+            console.log(`${player.name} unbanned ${name}`);
+            sendSystemMessage(socket, `Unbanned ${name}`);
+        }
+    },
+    {
+        name: 'mute',
+        permission: 'command.mute',
+        args: [
+            { name: 'player', type: 'string' },
+            { name: 'duration', type: 'duration', optional: true },
+            { name: 'reason', type: 'text', optional: true }
+        ],
+        description: 'Stop a player from chatting (for a duration, or until unmuted)',
+        run: (ctx, { player: name, duration, reason }) => {
+            punishPlayer(ctx, 'mutes', name, duration || null, reason);
+        }
+    },
+    {
+        name: 'unmute',
+        permission: 'command.unmute',
+        args: [{ name: 'player', type: 'string' }],
+        description: 'Let a muted player chat again',
+        run: ({ socket, player }, { player: name }) => {
+            if (!removePunishments('mutes', name)) {
+                sendSystemMessage(socket, `"${name}" is not muted`);
                 return;
             }
-            
-            if (!args[1]) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'Usage: /give <item> (sword, cheeseburger, soda, baseballbat, car)',
-                    timestamp: new Date().toLocaleTimeString()
-                });
+            const target = findPlayer(name);
+            const targetSocket = target && io.sockets.sockets.get(target.id);
+            if (targetSocket) {
+                sendSystemMessage(targetSocket, 'You can chat again');
+            }
+            console.log(`${player.name} unmuted ${name}`);
+            sendSystemMessage(socket, `Unmuted ${name}`);
+        }
+    },
+    {
+        name: 'log',
+        permission: 'command.log',
+        args: [{ name: 'filters', type: 'text', optional: true }],
+        description: 'Search the audit log. Filters: player:<name> action:<type> near:<radius> area:<x1>,<z1>,<x2>,<z2> since:<2h> until:<30m> limit:<n>',
+        run: ({ socket, player }, { filters }) => {
+            const query = parseLogQuery(filters || '', player);
+            if (query.error) {
+                sendSystemMessage(socket, query.error);
                 return;
             }
-            
-            const validItems = ['sword', 'cheeseburger', 'soda', 'baseballbat', 'car'];
-            const item = args[1].toLowerCase();
-            
-            if (!validItems.includes(item)) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: `Invalid item. Valid items: ${validItems.join(', ')}`,
-                    timestamp: new Date().toLocaleTimeString()
-                });
+            const entries = searchAuditLog(query.filter, query.limit);
+            if (entries.length === 0) {
+                sendSystemMessage(socket, 'No matching log entries');
                 return;
             }
-            
-            socket.emit('giveItem', { item });
-            socket.emit('chatMessage', {
-                id: 'system',
-                name: 'System',
-                username: 'System',
-                message: `Gave yourself ${item}`,
-                timestamp: new Date().toLocaleTimeString()
-            });
-            break;
-            
-        case '/heal':
-            if (!currentAdminStatus) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'You do not have permission to use this command',
-                    timestamp: new Date().toLocaleTimeString()
-                });
+            sendSystemMessage(socket, `${entries.length} log entries (newest last):`);
+            entries.reverse().forEach(entry => sendSystemMessage(socket, describeAuditEntry(entry)));
+        }
+    },
+    {
+        name: 'rollback',
+        permission: 'command.rollback',
+        args: [{ name: 'player', type: 'string' }, { name: 'minutes', type: 'number' }],
+        description: "Undo a player's block changes from the last few minutes (up to a day)",
+        run: ({ socket, player }, { player: name, minutes }) => {
+            if (minutes < 1 || minutes > BLOCK_HISTORY_MAX_AGE / 60000) {
+                sendSystemMessage(socket, `<minutes> must be between 1 and ${BLOCK_HISTORY_MAX_AGE / 60000}`);
                 return;
             }
-            
-            if (args[1]) {
-                // Heal another player
-                let targetPlayer = null;
-                let targetPlayerId = null;
-                for (const [id, p] of players.entries()) {
-                    // Check both username and name for lookup
-                    const matchName = p.name && p.name.toLowerCase() === args[1].toLowerCase();
-                    const matchUsername = p.username && p.username.toLowerCase() === args[1].toLowerCase();
-                    if (matchName || matchUsername) {
-                        targetPlayer = p;
-                        targetPlayerId = id;
-                        break;
-                    }
-                }
-                
-                if (!targetPlayer) {
-                    socket.emit('chatMessage', {
-                        id: 'system',
-                        name: 'System',
-                        username: 'System',
-                        message: `Player "${args[1]}" not found`,
-                        timestamp: new Date().toLocaleTimeString()
-                    });
-                    return;
-                }
-                
-                const targetSocket = io.sockets.sockets.get(targetPlayerId);
-                if (targetSocket) {
-                    targetSocket.emit('healPlayer');
-                    socket.emit('chatMessage', {
-                        id: 'system',
-                        name: 'System',
-                        username: 'System',
-                        message: `Healed ${args[1]}`,
-                        timestamp: new Date().toLocaleTimeString()
-                    });
-                    targetSocket.emit('chatMessage', {
-                        id: 'system',
-                        name: 'System',
-                        username: 'System',
-                        message: 'You have been healed',
-                        timestamp: new Date().toLocaleTimeString()
-                    });
-                }
-            } else {
-                // Heal self
-                socket.emit('healPlayer');
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'Health restored to full',
-                    timestamp: new Date().toLocaleTimeString()
-                });
+            const { reverted, skipped } = rollbackPlayer(player, name, Date.now() - minutes * 60000);
+            if (reverted === 0 && skipped === 0) {
+                sendSystemMessage(socket, `No block changes by ${name} in the last ${minutes} minutes`);
+                return;
             }
-            break;
-            
-        case '/kill':
-            if (!currentAdminStatus) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'You do not have permission to use this command',
-                    timestamp: new Date().toLocaleTimeString()
-                });
+            console.log(`${player.name} rolled back ${reverted} block changes by ${name}`);
+            sendSystemMessage(socket, `Rolled back ${reverted} block changes by ${name}`
+                + (skipped > 0 ? ` (${skipped} skipped, changed since by someone else)` : ''));
+        }
+    },
+    {
+        name: 'wand',
+        permission: 'command.edit',
+        description: 'Get the selection wand (click a block for corner 1, shift-click for corner 2)',
+        run: ({ socket, player }) => {
+            if (!hasItem(player, 'wand') && addItem(player, 'wand') > 0) {
+                sendSystemMessage(socket, 'Your inventory is full');
                 return;
             }
-            
-            if (args[1]) {
-                // Kill another player
-                let targetPlayer = null;
-                let targetPlayerId = null;
-                for (const [id, p] of players.entries()) {
-                    // Check both username and name for lookup
-                    const matchName = p.name && p.name.toLowerCase() === args[1].toLowerCase();
-                    const matchUsername = p.username && p.username.toLowerCase() === args[1].toLowerCase();
-                    if (matchName || matchUsername) {
-                        targetPlayer = p;
-                        targetPlayerId = id;
-                        break;
-                    }
+            sendInventory(socket, player);
+            sendSystemMessage(socket, 'Equip the wand, then click a block for corner 1 and shift-click for corner 2');
+        }
+    },
+    {
+        name: 'pos1',
+        permission: 'command.edit',
+        description: 'Mark selection corner 1 where you are standing',
+        run: ({ socket, player }) => {
+            setEditCorner(socket, player, 1, getFeetBlock(player));
+        }
+    },
+    {
+        name: 'pos2',
+        permission: 'command.edit',
+        description: 'Mark selection corner 2 where you are standing',
+        run: ({ socket, player }) => {
+            setEditCorner(socket, player, 2, getFeetBlock(player));
+        }
+    },
+    {
+        name: 'fill',
+        permission: 'command.edit',
+        args: [{ name: 'type', type: 'choice', choices: [...EDIT_BLOCK_TYPES, 'air'] }],
+        description: 'Fill the selection with a block type (air clears it)',
+        run: (ctx, { type }) => {
+            const box = getEditBox(ctx);
+            if (!box) return;
+            const updates = new Map();
+            forEachInBox(box, (x, y, z) => updates.set(`${x},${y},${z}`, createEditBlock(x, y, z, type)));
+            runRegionEdit(ctx, updates);
+        }
+    },
+    {
+        name: 'replace',
+        permission: 'command.edit',
+        args: [
+            { name: 'from', type: 'choice', choices: [...EDIT_BLOCK_TYPES, 'air'] },
+            { name: 'to', type: 'choice', choices: [...EDIT_BLOCK_TYPES, 'air'] }
+        ],
+        description: 'Replace one block type with another in the selection',
+        run: (ctx, { from, to }) => {
+            const box = getEditBox(ctx);
+            if (!box) return;
+            const world = worlds.get(ctx.player.world);
+            const updates = new Map();
+            forEachInBox(box, (x, y, z) => {
+                const key = `${x},${y},${z}`;
+                const block = world.blocks.get(key);
+                if ((block ? block.type : 'air') === from) {
+                    updates.set(key, createEditBlock(x, y, z, to));
                 }
-                
-                if (!targetPlayer) {
-                    socket.emit('chatMessage', {
-                        id: 'system',
-                        name: 'System',
-                        username: 'System',
-                        message: `Player "${args[1]}" not found`,
-                        timestamp: new Date().toLocaleTimeString()
-                    });
-                    return;
+            });
+            runRegionEdit(ctx, updates);
+        }
+    },
+    {
+        name: 'walls',
+        permission: 'command.edit',
+        args: [{ name: 'type', type: 'choice', choices: [...EDIT_BLOCK_TYPES, 'air'] }],
+        description: 'Build the four sides of the selection',
+        run: (ctx, { type }) => {
+            const box = getEditBox(ctx);
+            if (!box) return;
+            const updates = new Map();
+            forEachInBox(box, (x, y, z) => {
+                if (x === box.x1 || x === box.x2 || z === box.z1 || z === box.z2) {
+                    updates.set(`${x},${y},${z}`, createEditBlock(x, y, z, type));
                 }
-                
-                const targetSocket = io.sockets.sockets.get(targetPlayerId);
-                if (targetSocket && targetPlayer) {
-                    // Set health to 0
-                    targetPlayer.health = 0;
-                    
-                    // Generate cube data for death explosion
-                    const cubeData = [];
-                    for (let i = 0; i < 30; i++) {
-                        const angle = (Math.PI * 2 * i) / 30;
-                        const radius = 0.3 + Math.random() * 0.4;
-                        const verticalAngle = (Math.random() - 0.3) * Math.PI * 0.4;
-                        
-                        cubeData.push({
-                            size: 0.3 + Math.random() * 0.3,
-                            offset: {
-                                x: (Math.random() - 0.5) * 0.5,
-                                y: Math.random() * 0.3,
-                                z: (Math.random() - 0.5) * 0.5
-                            },
-                            velocity: {
-                                x: Math.cos(angle) * radius * (6 + Math.random() * 4),
-                                y: Math.sin(verticalAngle) * (5 + Math.random() * 5) + 3,
-                                z: Math.sin(angle) * radius * (6 + Math.random() * 4)
-                            }
-                        });
-                    }
-                    
-                    // Broadcast death event (same as normal death)
-                    io.emit('playerDied', {
-                        playerId: targetPlayer.id,
-                        attackerId: playerId,
-                        deathPosition: targetPlayer.position,
-                        cubeData: cubeData
-                    });
-                    
-                    // Reset health and position after 5 seconds (same as normal death)
-                    setTimeout(() => {
-                        targetPlayer.health = 100;
-                        targetPlayer.position = { x: 0, y: 5, z: 0 };
-                        io.emit('playerRespawned', {
-                            playerId: targetPlayer.id,
-                            position: { x: 0, y: 5, z: 0 }
-                        });
-                    }, 5000);
-                    
-                    socket.emit('chatMessage', {
-                        id: 'system',
-                        name: 'System',
-                        username: 'System',
-                        message: `Killed ${args[1]}`,
-                        timestamp: new Date().toLocaleTimeString()
-                    });
-                    targetSocket.emit('chatMessage', {
-                        id: 'system',
-                        name: 'System',
-                        username: 'System',
-                        message: 'You have been killed',
-                        timestamp: new Date().toLocaleTimeString()
-                    });
+            });
+            runRegionEdit(ctx, updates);
+        }
+    },
+    {
+        name: 'hollow',
+        permission: 'command.edit',
+        description: 'Clear the inside of the selection, keeping a one block shell',
+        run: (ctx) => {
+            const box = getEditBox(ctx);
+            if (!box) return;
+            const world = worlds.get(ctx.player.world);
+            const updates = new Map();
+            forEachInBox(box, (x, y, z) => {
+                const inside = x > box.x1 && x < box.x2 && y > box.y1 && y < box.y2 && z > box.z1 && z < box.z2;
+                const key = `${x},${y},${z}`;
+                if (inside && world.blocks.has(key)) {
+                    updates.set(key, null);
                 }
-            } else {
-                // Kill self - trigger normal death sequence
-                const player = players.get(playerId);
-                if (player) {
-                    player.health = 0;
-                    
-                    // Generate cube data for death explosion
-                    const cubeData = [];
-                    for (let i = 0; i < 30; i++) {
-                        const angle = (Math.PI * 2 * i) / 30;
-                        const radius = 0.3 + Math.random() * 0.4;
-                        const verticalAngle = (Math.random() - 0.3) * Math.PI * 0.4;
-                        
-                        cubeData.push({
-                            size: 0.3 + Math.random() * 0.3,
-                            offset: {
-                                x: (Math.random() - 0.5) * 0.5,
-                                y: Math.random() * 0.3,
-                                z: (Math.random() - 0.5) * 0.5
-                            },
-                            velocity: {
-                                x: Math.cos(angle) * radius * (6 + Math.random() * 4),
-                                y: Math.sin(verticalAngle) * (5 + Math.random() * 5) + 3,
-                                z: Math.sin(angle) * radius * (6 + Math.random() * 4)
-                            }
-                        });
-                    }
-                    
-                    // Broadcast death event
-                    io.emit('playerDied', {
-                        playerId: player.id,
-                        attackerId: player.id,
-                        deathPosition: player.position,
-                        cubeData: cubeData
-                    });
-                    
-                    // Reset health and position after 5 seconds
-                    setTimeout(() => {
-                        player.health = 100;
-                        player.position = { x: 0, y: 5, z: 0 };
-                        io.emit('playerRespawned', {
-                            playerId: player.id,
-                            position: { x: 0, y: 5, z: 0 }
-                        });
-                    }, 5000);
+            });
+            runRegionEdit(ctx, updates);
+        }
+    },
+    {
+        name: 'copy',
+        permission: 'command.edit',
+        description: 'Copy the selection to your clipboard, relative to where you stand',
+        run: (ctx) => {
+            const box = getEditBox(ctx);
+            if (!box) return;
+            const world = worlds.get(ctx.player.world);
+            const origin = getFeetBlock(ctx.player);
+            const blocks = [];
+            forEachInBox(box, (x, y, z) => {
+                const block = world.blocks.get(`${x},${y},${z}`);
+                if (block) {
+                    blocks.push({ dx: x - origin.x, dy: y - origin.y, dz: z - origin.z, type: block.type, meta: block.meta });
                 }
-                
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'You killed yourself',
-                    timestamp: new Date().toLocaleTimeString()
-                });
-            }
-            break;
-            
-        case '/admin':
-            if (!currentAdminStatus) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'You do not have permission to use this command',
-                    timestamp: new Date().toLocaleTimeString()
-                });
+            });
+            getEditSession(ctx.player.id).clipboard = blocks;
+            sendSystemMessage(ctx.socket, `Copied ${blocks.length} blocks`);
+        }
+    },
+    {
+        name: 'paste',
+        permission: 'command.edit',
+        description: 'Paste your clipboard where you stand (empty space is not pasted)',
+        run: (ctx) => {
+            const clipboard = getEditSession(ctx.player.id).clipboard;
+            if (!clipboard) {
+                sendSystemMessage(ctx.socket, 'Your clipboard is empty, use /copy first');
                 return;
             }
-            
-            if (!args[1]) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: 'Usage: /admin <player>',
-                    timestamp: new Date().toLocaleTimeString()
-                });
+            const origin = getFeetBlock(ctx.player);
+            const updates = new Map();
+            clipboard.forEach(({ dx, dy, dz, type, meta }) => {
+                const x = origin.x + dx;
+                const y = origin.y + dy;
+                const z = origin.z + dz;
+                updates.set(`${x},${y},${z}`, createBlockRecord(x, y, z, type, meta));
+            });
+            runRegionEdit(ctx, updates);
+        }
+    },
+    {
+        name: 'rotate',
+        permission: 'command.edit',
+        args: [{ name: 'degrees', type: 'choice', choices: ['90', '180', '270'], optional: true }],
+        description: 'Turn your clipboard clockwise around where you stood when copying',
+        run: ({ socket, player }, { degrees = '90' }) => {
+            const session = getEditSession(player.id);
+            if (!session.clipboard) {
+                sendSystemMessage(socket, 'Your clipboard is empty, use /copy first');
                 return;
             }
-            
-            const targetUsername = args[1];
-            
-            // Check if account exists
-            if (!accounts[targetUsername]) {
-                socket.emit('chatMessage', {
-                    id: 'system',
-                    name: 'System',
-                    username: 'System',
-                    message: `Account "${targetUsername}" not found. Player must be registered (not a guest).`,
-                    timestamp: new Date().toLocaleTimeString()
+            for (let turns = Number(degrees) / 90; turns > 0; turns--) {
+                session.clipboard.forEach(block => {
+                    [block.dx, block.dz] = [-block.dz, block.dx];
                 });
+            }
+            sendSystemMessage(socket, `Rotated your clipboard by ${degrees} degrees`);
+        }
+    },
+    {
+        name: 'export',
+        permission: 'command.edit',
+        args: [{ name: 'name', type: 'string', optional: true }],
+        description: 'Download the selection as a blueprint file (drop it on the game to place it)',
+        run: (ctx, { name = 'blueprint' }) => {
+            const box = getEditBox(ctx);
+            if (!box) return;
+            const blueprint = createBlueprint(worlds.get(ctx.player.world), box, name.slice(0, 32));
+            if (blueprint.blocks.length === 0) {
+                sendSystemMessage(ctx.socket, 'There are no blocks in the selection');
                 return;
             }
-            
-            // Make player admin
-            accounts[targetUsername].isAdmin = true;
-            saveData(); // Save to file
-            
-            // If player is currently online, update their admin status
-            for (const [id, p] of players.entries()) {
-                // Check both username and name for lookup
-                const matchName = p.name && p.name.toLowerCase() === targetUsername.toLowerCase();
-                const matchUsername = p.username && p.username.toLowerCase() === targetUsername.toLowerCase();
-                if (matchName || matchUsername) {
-                    // Update admin status in Map
-                    adminStatus.set(id, true);
-                    // Update player object
-                    p.isAdmin = true;
-                    const targetSocket = io.sockets.sockets.get(id);
-                    if (targetSocket) {
-                        // Update admin status for this session
-                        targetSocket.emit('adminStatusChanged', { isAdmin: true });
-                    }
+            ctx.socket.emit('blueprintExport', blueprint);
+            sendSystemMessage(ctx.socket, `Exported ${blueprint.blocks.length} blocks`);
+        }
+    },
+    {
+        name: 'gltf',
+        permission: 'command.edit',
+        args: [
+            { name: 'area', type: 'choice', choices: ['world', 'selection'], optional: true },
+            { name: 'include', type: 'choice', choices: ['blocks', 'players', 'cars', 'all'], optional: true }
+        ],
+        description: 'Download the world or your selection as a glTF model (.glb), optionally with the players and cars around you',
+        run: (ctx, { area = 'world', include = 'blocks' }) => {
+            // The client builds the file; it only has the chunks around it, so send the blocks
+            let box = null;
+            if (area === 'selection') {
+                box = getEditBox(ctx);
+                if (!box) return;
+            }
+            const exportBlocks = [];
+            worlds.get(ctx.player.world).blocks.forEach((block, key) => {
+                const [x, y, z] = key.split(',').map(Number);
+                if (!box || (x >= box.x1 && x <= box.x2 && y >= box.y1 && y <= box.y2 && z >= box.z1 && z <= box.z2)) {
+                    exportBlocks.push({ key, type: block.type });
                 }
+            });
+            if (exportBlocks.length > EDIT_MAX_BLOCKS) {
+                sendSystemMessage(ctx.socket, `Too many blocks to export (${exportBlocks.length}, the limit is ${EDIT_MAX_BLOCKS}). Select a smaller area and use /gltf selection`);
+                return;
             }
-            
-            socket.emit('chatMessage', {
-                id: 'system',
-                name: 'System',
-                username: 'System',
-                message: `Made ${targetUsername} an admin`,
-                timestamp: new Date().toLocaleTimeString()
+            ctx.socket.emit('exportModel', {
+                box,
+                blocks: exportBlocks,
+                players: include === 'players' || include === 'all',
+                cars: include === 'cars' || include === 'all'
             });
-            break;
-            
-        default:
-            socket.emit('chatMessage', {
-                id: 'system',
-                name: 'System',
-                username: 'System',
-                message: `Unknown command: ${command}. Type /help for available commands.`,
-                timestamp: new Date().toLocaleTimeString()
+        }
+    },
+    {
+        name: 'undo',
+        permission: 'command.edit',
+        description: 'Undo your last region edit',
+        run: ({ socket, player }) => {
+            const world = worlds.get(player.world);
+            const applied = getEditSession(player.id).undo.pop();
+            if (!world || !applied) {
+                sendSystemMessage(socket, 'Nothing to undo');
+                return;
+            }
+            // Leave blocks someone else has changed since
+            const updates = new Map();
+            let skipped = 0;
+            applied.forEach(({ key, before, after }) => {
+                if (isSameBlockState(world.blocks.get(key) || null, after)) {
+                    updates.set(key, before);
+                } else {
+                    skipped++;
+                }
             });
+            const undone = setBlocks(world, player, updates);
+            sendSystemMessage(socket, `Undid ${undone.length} block changes`
+                + (skipped > 0 ? ` (${skipped} skipped, changed since by someone else)` : ''));
+        }
+    },
+    {
+        name: 'admin',
+        permission: 'command.role.set',
+        args: [{ name: 'username', type: 'string' }],
+        description: 'Make a player an admin (same as /role set <username> admin)',
+        run: ({ socket, player }, { username }) => {
+            assignRole(socket, player, username, 'admin');
+        }
+    }
+];
+
+// Commands by name and alias
+const commandLookup = new Map();
+COMMANDS.forEach(command => {
+    // Commands without forms are a single form
+    if (!command.forms) {
+        command.forms = [{ args: command.args, description: command.description, run: command.run }];
+    }
+    command.forms.forEach(form => {
+        form.args = form.args || [];
+        form.permission = form.permission || command.permission;
+        form.usage = getFormUsage(command, form);
+    });
+    [command.name, ...(command.aliases || [])].forEach(name => commandLookup.set(name, command));
+});
+
+function getFormUsage(command, form) {
+    const parts = [`/${command.name}`];
+    if (form.sub) {
+        parts.push(form.sub);
+    }
+    form.args.forEach(arg => {
+        parts.push(arg.optional ? `[${arg.name}]` : `<${arg.name}>`);
+    });
+    return parts.join(' ');
+}
+
+function canUseForm(role, form) {
+    return !form.permission || hasPermission(role, form.permission);
+}
+
+// The commands a role can use, in the shape the client needs for help and autocomplete
+function getCommandCatalog(role) {
+    const catalog = [];
+    COMMANDS.forEach(command => {
+        const forms = command.forms.filter(form => canUseForm(role, form));
+        if (forms.length === 0) return;
+        catalog.push({
+            name: command.name,
+            aliases: command.aliases || [],
+            forms: forms.map(form => ({
+                sub: form.sub || null,
+                usage: form.usage,
+                description: form.description,
+                args: form.args.map(arg => ({
+                    name: arg.name,
+                    type: arg.type,
+                    optional: arg.optional || false,
+                    choices: arg.choices || null
+                }))
+            }))
+        });
+    });
+    return catalog;
+}
+
+// Parse one argument. Returns { value } or { error }.
+function parseCommandArg(arg, token, player) {
+    switch (arg.type) {
+        case 'number': {
+            const value = parseFloat(token);
+            return Number.isFinite(value) ? { value } : { error: `<${arg.name}> must be a number` };
+        }
+        case 'choice': {
+            const value = token.toLowerCase();
+            return arg.choices.includes(value)
+                ? { value }
+                : { error: `Invalid ${arg.name} "${token}". Valid: ${arg.choices.join(', ')}` };
+        }
+        case 'player': {
+            const value = findPlayer(token, arg.sameWorld ? player.world : null);
+            return value ? { value } : { error: `Player "${token}" not found` };
+        }
+        case 'duration': {
+            const value = parseDuration(token);
+            return value ? { value } : { error: `<${arg.name}> must look like 30m, 2h or 7d` };
+        }
+        default:
+            return { value: token };
+    }
+}
+
+// Switch the calling player to another world
+// The client clears its world state, then receives the new gameState
+function switchWorld({ socket, player }, world) {
+    if (world.name === player.world) {
+        sendSystemMessage(socket, `You are already in world "${world.name}"`);
+        return;
+    }
+    player.position = { x: 0, y: 5, z: 0 };
+    socket.emit('worldChanged', { world: world.name, position: player.position });
+    joinWorld(socket, player, world);
+    sendSystemMessage(socket, `Joined world "${world.name}"`);
+}
+
+// Command handler
+function handleCommand(socket, playerId, player, message) {
+    const tokens = message.trim().split(/\s+/);
+    const name = tokens.shift().slice(1).toLowerCase();
+    const command = commandLookup.get(name);
+    
+    if (!command) {
+        sendSystemMessage(socket, `Unknown command: /${name}. Type /help for available commands.`);
+        return;
+    }
+    
+    // Commands act on the world the player is in
+    if (!player.world) {
+        sendSystemMessage(socket, 'Join a world before using commands');
+        return;
+    }
+    
+    const usableForms = command.forms.filter(form => canUseForm(player.role, form));
+    if (usableForms.length === 0) {
+        sendSystemMessage(socket, 'You do not have permission to use this command');
+        return;
+    }
+    
+    // Pick the form whose subcommand and argument count match the input
+    const form = command.forms.find(f => {
+        const argTokens = f.sub ? tokens.slice(1) : tokens;
+        if (f.sub && (tokens[0] || '').toLowerCase() !== f.sub) return false;
+        const required = f.args.filter(arg => !arg.optional).length;
+        const takesRest = f.args.length > 0 && f.args[f.args.length - 1].type === 'text';
+        return argTokens.length >= required && (takesRest || argTokens.length <= f.args.length);
+    });
+    
+    if (!form) {
+        sendSystemMessage(socket, `Usage: ${usableForms.map(f => f.usage).join(' or ')}`);
+        return;
+    }
+    if (!canUseForm(player.role, form)) {
+        sendSystemMessage(socket, 'You do not have permission to use this command');
+        return;
+    }
+    
+    // Parse the arguments
+    const argTokens = form.sub ? tokens.slice(1) : tokens;
+    const args = {};
+    let tokenIndex = 0;
+    for (let i = 0; i < form.args.length; i++) {
+        const arg = form.args[i];
+        if (arg.type === 'text') {
+            args[arg.name] = argTokens.slice(tokenIndex).join(' ') || undefined;
+            break;
+        }
+        if (argTokens[tokenIndex] === undefined) {
+            continue; // Optional argument left out
+        }
+        const result = parseCommandArg(arg, argTokens[tokenIndex], player);
+        if (result.error) {
+            const nextArg = form.args[i + 1];
+            if (arg.optional && nextArg && nextArg.type === 'text') {
+                continue; // Left out - the token belongs to the text
+            }
+            sendSystemMessage(socket, `${result.error}. Usage: ${form.usage}`);
+            return;
+        }
+        args[arg.name] = result.value;
+        tokenIndex++;
+    }
+    
+    // Staff commands go in the audit log
+    if (form.permission && getRoleRank(PERMISSIONS[form.permission]) < getRoleRank(DEFAULT_ROLE)) {
+        auditLog('command', player, { command: message.trim() });
     }
+    
+    form.run({ socket, playerId, player }, args);
 }
 
 // Bot management
@@ -1272,7 +4251,7 @@ function startBot() {
     
     // Import bot module dynamically
     import('./bot.js').then(botModule => {
-        botModule.startBot('http://localhost:3000', (socket) => {
+        botModule.startBot(`http://localhost:${PORT}`, (socket) => {
             botSocket = socket; // Store bot socket reference
         });
     }).catch(err => {